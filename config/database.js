@@ -1,25 +1,34 @@
-const { CosmosClient } = require('@azure/cosmos');
+// Storage settings - read once from the environment at startup
+// Nothing connects here: the repositories in services/storage.js are built from these settings
+const path = require('path');
 
-// Cosmos DB setup - singleton client
-const client = new CosmosClient({
-  endpoint: process.env.COSMOS_ENDPOINT,
-  key: process.env.COSMOS_KEY
-});
+// "cosmos" or "local"; defaults to Cosmos only when an endpoint is configured
+const backend = (process.env.STORAGE_BACKEND || (process.env.COSMOS_ENDPOINT ? 'cosmos' : 'local')).toLowerCase();
+// Local storage picked only because nothing was configured - usually a missing COSMOS_ENDPOINT
+const backendFallback = !process.env.STORAGE_BACKEND && !process.env.COSMOS_ENDPOINT;
 
-// Testing database and container
-const database = client.database(process.env.COSMOS_DATABASE);
-const container = database.container(process.env.COSMOS_CONTAINER);
+const cosmos = {
+  endpoint: process.env.COSMOS_ENDPOINT,
+  key: process.env.COSMOS_KEY,
+  // Testing database and container
+  database: process.env.COSMOS_DATABASE,
+  container: process.env.COSMOS_CONTAINER,
+  // KWatch database and containers (Final database)
+  kwatchDatabase: process.env.COSMOS_KWATCH_DATABASE,
+  kwatchContainer: process.env.COSMOS_KWATCH_CONTAINER, // Container for KWatch Raw Data
+  kwatchProcessedContainer: process.env.COSMOS_KWATCH_PROCESSED_CONTAINER, // Container for Processed KWatch Data
+  // Container for brand queries managed through /api/queries (partition key /id)
+  kwatchQueriesContainer: process.env.COSMOS_KWATCH_QUERIES_CONTAINER || 'BrandQueries',
+};
 
-// KWatch database and container (Final database)
-const kwatchDatabase = client.database(process.env.COSMOS_KWATCH_DATABASE);
-const kwatchContainer = kwatchDatabase.container(process.env.COSMOS_KWATCH_CONTAINER); // Container for KWatch Raw Data
-const kwatchProcessedContainer = kwatchDatabase.container(process.env.COSMOS_KWATCH_PROCESSED_CONTAINER); // Container for Processed KWatch Data
+const local = {
+  // Directory holding one JSON file per collection
+  dir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../data/store'),
+};
 
 module.exports = {
-  client,
-  database,
-  container,
-  kwatchDatabase,
-  kwatchContainer,
-  kwatchProcessedContainer
+  backend,
+  backendFallback,
+  cosmos,
+  local,
 };
@@ -0,0 +1,169 @@
+// KWatch ingestion settings - read once from the environment at startup
+const path = require('path');
+const { RETRY_DEFAULTS } = require('../utils/retry');
+
+/**
+ * Parse per-source webhook secrets
+ * Format: "source:secret1|secret2,otherSource:secret3"
+ * A source may list several secrets; all of them are accepted, so a new
+ * secret can be rolled out before the old one is removed.
+ * @param {string} raw - Raw value of KWATCH_WEBHOOK_SECRETS
+ * @returns {Object} Map of source name to array of secrets
+ */
+function parseWebhookSecrets(raw) {
+  const secrets = {};
+  if (!raw) return secrets;
+
+  raw.split(',').forEach(entry => {
+    const trimmed = entry.trim();
+    if (!trimmed) return;
+
+    // A bare secret without "source:" belongs to the default source
+    const separator = trimmed.indexOf(':');
+    const source = separator > 0 ? trimmed.slice(0, separator).trim() : 'default';
+    const values = (separator > 0 ? trimmed.slice(separator + 1) : trimmed)
+      .split('|')
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+
+    if (values.length > 0) {
+      secrets[source] = (secrets[source] || []).concat(values);
+    }
+  });
+
+  return secrets;
+}
+
+function parseIntegerEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+const webhookSecrets = parseWebhookSecrets(process.env.KWATCH_WEBHOOK_SECRETS);
+
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" setting
+ * "true"/"false", a number of proxy hops, or a comma-separated list of proxy addresses/subnets
+ * @param {string} raw - Raw environment value
+ * @returns {boolean|number|string} Setting (default 1: the App Service front end)
+ */
+function parseTrustProxy(raw) {
+  const value = (raw || '').trim();
+  if (!value) return 1;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+const webhookAuth = {
+  // Auth is enforced as soon as at least one secret is configured
+  enabled: Object.keys(webhookSecrets).length > 0,
+  secrets: webhookSecrets,
+  // Maximum allowed clock difference for X-KWatch-Timestamp
+  toleranceSeconds: parseIntegerEnv('KWATCH_WEBHOOK_TOLERANCE_SECONDS', 300),
+  // Proxies in front of the app whose X-Forwarded-For entries are trusted for the caller IP
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+};
+
+const journal = {
+  // Append-only file holding accepted documents until Cosmos confirms them
+  path: process.env.KWATCH_JOURNAL_PATH || path.join(__dirname, '../data/kwatch-journal.ndjson'),
+  // fsync after every append (set to "false" only on disks where that is too slow)
+  fsync: process.env.KWATCH_JOURNAL_FSYNC !== 'false',
+  // Rewrite the file after this many acknowledgements
+  compactThreshold: parseIntegerEnv('KWATCH_JOURNAL_COMPACT_THRESHOLD', 1000),
+};
+
+const dedup = {
+  // Deliveries of the same content within this window are reported as duplicates (0 disables)
+  windowSeconds: parseIntegerEnv('KWATCH_DEDUP_WINDOW_SECONDS', 86400),
+  // Upper bound on remembered IDs
+  maxEntries: parseIntegerEnv('KWATCH_DEDUP_MAX_ENTRIES', 100000),
+};
+
+const retry = {
+  // Attempts per Cosmos write before the item is dead-lettered
+  maxAttempts: parseIntegerEnv('KWATCH_RETRY_MAX_ATTEMPTS', RETRY_DEFAULTS.maxAttempts),
+  baseDelayMs: parseIntegerEnv('KWATCH_RETRY_BASE_DELAY_MS', RETRY_DEFAULTS.baseDelayMs),
+  maxDelayMs: parseIntegerEnv('KWATCH_RETRY_MAX_DELAY_MS', RETRY_DEFAULTS.maxDelayMs),
+};
+
+const deadLetter = {
+  // Local file holding items whose writes failed after all retries
+  path: process.env.KWATCH_DEAD_LETTER_PATH || path.join(__dirname, '../data/kwatch-dead-letter.json'),
+};
+
+const queue = {
+  // Items written per batch
+  batchSize: Math.max(1, parseIntegerEnv('KWATCH_BATCH_SIZE', 10)),
+  // Regular flush interval
+  intervalMs: Math.max(1000, parseIntegerEnv('KWATCH_BATCH_INTERVAL_MS', 60000)),
+  // Flush immediately once this many items are waiting
+  highWaterMark: Math.max(1, parseIntegerEnv('KWATCH_QUEUE_HIGH_WATER_MARK', 100)),
+  // Webhooks are answered with 429 beyond this depth
+  maxDepth: Math.max(1, parseIntegerEnv('KWATCH_MAX_QUEUE_DEPTH', 10000)),
+};
+
+const bulk = {
+  // Records accepted per bulk request
+  maxRecords: Math.max(1, parseIntegerEnv('KWATCH_BULK_MAX_RECORDS', 5000)),
+  // Body size limit for JSON array uploads (NDJSON is streamed)
+  maxBodySize: process.env.KWATCH_BULK_MAX_BODY_SIZE || '10mb',
+  // Longest NDJSON line in bytes; longer lines are rejected without being buffered
+  maxLineBytes: Math.max(1, parseIntegerEnv('KWATCH_BULK_MAX_LINE_BYTES', 1024 * 1024)),
+};
+
+const listing = {
+  // Largest page size for GET /api/kwatch listings
+  maxLimit: Math.max(1, parseIntegerEnv('KWATCH_LIST_MAX_LIMIT', 100)),
+  // Totals (?includeTotal=true) are cached per filter set for this long (0 disables the cache)
+  countCacheSeconds: parseIntegerEnv('KWATCH_COUNT_CACHE_SECONDS', 60),
+  // Most filter sets whose totals are cached; the least recently used are dropped first
+  countCacheMaxEntries: Math.max(1, parseIntegerEnv('KWATCH_COUNT_CACHE_MAX_ENTRIES', 500)),
+};
+
+const reclassify = {
+  // Saved state of the re-classification job, so it can be resumed after a restart
+  statePath: process.env.KWATCH_RECLASSIFY_STATE_PATH || path.join(__dirname, '../data/kwatch-reclassify-job.json'),
+  // Raw items read and re-classified per batch
+  batchSize: Math.max(1, parseIntegerEnv('KWATCH_RECLASSIFY_BATCH_SIZE', 50)),
+};
+
+const CLASSIFIER_MODES = ['single', 'multi'];
+const CLASSIFIER_STRATEGIES = ['order', 'priority', 'specificity', 'topicPrecedence'];
+
+const classifier = {
+  // "single" stops at the first match; "multi" evaluates every brand query and stores all matches
+  mode: CLASSIFIER_MODES.includes(process.env.CLASSIFIER_MODE) ? process.env.CLASSIFIER_MODE : 'single',
+  modes: CLASSIFIER_MODES,
+  // How the primary label is chosen when several queries match (see services/labelResolution.js)
+  strategy: CLASSIFIER_STRATEGIES.includes(process.env.CLASSIFIER_STRATEGY) ? process.env.CLASSIFIER_STRATEGY : 'order',
+  strategies: CLASSIFIER_STRATEGIES,
+  // Topics in order of precedence for the "topicPrecedence" strategy, comma-separated
+  topicPrecedence: (process.env.CLASSIFIER_TOPIC_PRECEDENCE || '')
+    .split(',')
+    .map(topic => topic.trim().toLowerCase())
+    .filter(topic => topic.length > 0),
+};
+
+const shutdown = {
+  // Time allowed on SIGTERM/SIGINT to flush the queue before the process exits
+  timeoutMs: parseIntegerEnv('SHUTDOWN_TIMEOUT_MS', 20000),
+};
+
+module.exports = {
+  webhookAuth,
+  shutdown,
+  queue,
+  bulk,
+  listing,
+  reclassify,
+  classifier,
+  journal,
+  dedup,
+  retry,
+  deadLetter,
+  parseWebhookSecrets,
+  parseTrustProxy,
+  parseIntegerEnv,
+};
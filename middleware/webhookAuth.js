@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { webhookAuth } = require('../config/kwatch');
+
+// Counters for rejected webhook calls, exposed through /api/health
+const rejectionStats = {
+  total: 0,
+  byReason: {},
+  lastRejectedAt: null,
+  lastRejectedIp: null,
+};
+
+// Resolve the caller IP. App Service sits behind a proxy that appends to X-Forwarded-For; the client
+// can put anything before that, so req.ip only trusts the hops configured by TRUST_PROXY ("trust proxy")
+function getClientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Compute the expected signature for a webhook body
+ * Signed content is "<timestamp>.<raw body>", HMAC-SHA256 with the source secret
+ * @param {string} secret - Shared secret of the source
+ * @param {string} timestamp - Value of the X-KWatch-Timestamp header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex digest
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+// Parse a unix timestamp in seconds (milliseconds are accepted too)
+function parseTimestamp(value) {
+  if (!/^\d+$/.test(String(value || ''))) return null;
+  const num = parseInt(value, 10);
+  return num > 1e12 ? Math.floor(num / 1000) : num;
+}
+
+/**
+ * Signature check for bodies that are streamed rather than parsed up front (NDJSON)
+ * The route feeds every chunk to update() and calls verify(res) once the body is read
+ */
+function createStreamVerifier(req, secrets, timestamp, signature) {
+  const hmacs = secrets.map(secret => crypto.createHmac('sha256', secret).update(`${timestamp}.`));
+  return {
+    update(chunk) {
+      hmacs.forEach(hmac => hmac.update(chunk));
+    },
+    // Returns true when the body matches; otherwise answers 403 and returns false
+    verify(res) {
+      const valid = hmacs.some(hmac => safeEqual(hmac.digest('hex'), signature));
+      if (!valid) {
+        reject(req, res, 403, 'invalid_signature', 'Invalid webhook signature');
+      }
+      return valid;
+    },
+  };
+}
+
+function reject(req, res, status, reason, message) {
+  const ip = getClientIp(req);
+  rejectionStats.total++;
+  rejectionStats.byReason[reason] = (rejectionStats.byReason[reason] || 0) + 1;
+  rejectionStats.lastRejectedAt = new Date().toISOString();
+  rejectionStats.lastRejectedIp = ip;
+
+  // Log the path only - the query string may carry a token
+  console.warn(`[WebhookAuth] Rejected ${req.method} ${req.baseUrl}${req.path} from ${ip}: ${reason}`);
+  return res.status(status).json({ error: message, reason });
+}
+
+/**
+ * Express middleware authenticating KWatch webhook calls
+ *
+ * Callers identify their source with X-KWatch-Source (or ?source=, defaults to "default")
+ * and authenticate with either:
+ *  - X-KWatch-Signature: sha256=<hmac> plus X-KWatch-Timestamp (signed request)
+ *  - X-KWatch-Token header or ?token= query parameter (shared secret)
+ *
+ * 401 is returned when credentials are missing, 403 when they are wrong or the
+ * timestamp falls outside the replay window. Requires req.rawBody for signatures,
+ * except for NDJSON bodies, where req.signatureVerifier is set for the route to use.
+ */
+function verifyKWatchWebhook(req, res, next) {
+  if (!webhookAuth.enabled) {
+    return next();
+  }
+
+  const source = req.get('x-kwatch-source') || req.query.source || 'default';
+  const signatureHeader = req.get('x-kwatch-signature');
+  const token = req.get('x-kwatch-token') || req.query.token;
+  const timestampHeader = req.get('x-kwatch-timestamp');
+
+  if (!signatureHeader && !token) {
+    return reject(req, res, 401, 'missing_credentials', 'Missing webhook signature or token');
+  }
+
+  const secrets = webhookAuth.secrets[source];
+  if (!secrets) {
+    return reject(req, res, 401, 'unknown_source', `Unknown webhook source "${source}"`);
+  }
+
+  // Replay window - mandatory for signed requests, checked for token requests when sent
+  if (signatureHeader && !timestampHeader) {
+    return reject(req, res, 401, 'missing_timestamp', 'Signed requests require X-KWatch-Timestamp');
+  }
+  if (timestampHeader) {
+    const timestamp = parseTimestamp(timestampHeader);
+    if (timestamp === null) {
+      return reject(req, res, 401, 'invalid_timestamp', 'Malformed X-KWatch-Timestamp');
+    }
+    const skew = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+    if (skew > webhookAuth.toleranceSeconds) {
+      return reject(req, res, 403, 'stale_timestamp', 'Request timestamp outside the allowed window');
+    }
+  }
+
+  if (signatureHeader) {
+    const signature = signatureHeader.replace(/^sha256=/i, '');
+
+    // NDJSON bodies are still unread here; the route verifies them while streaming
+    if (req.is('application/x-ndjson')) {
+      req.webhookSource = source;
+      req.signatureVerifier = createStreamVerifier(req, secrets, timestampHeader, signature);
+      return next();
+    }
+
+    const valid = secrets.some(secret =>
+      safeEqual(computeSignature(secret, timestampHeader, req.rawBody), signature)
+    );
+    if (!valid) {
+      return reject(req, res, 403, 'invalid_signature', 'Invalid webhook signature');
+    }
+  } else if (!secrets.some(secret => safeEqual(secret, token))) {
+    return reject(req, res, 403, 'invalid_token', 'Invalid webhook token');
+  }
+
+  req.webhookSource = source;
+  return next();
+}
+
+// Get webhook authentication status
+function getWebhookAuthStatus() {
+  return {
+    enabled: webhookAuth.enabled,
+    sources: Object.keys(webhookAuth.secrets),
+    rejections: {
+      total: rejectionStats.total,
+      byReason: { ...rejectionStats.byReason },
+      lastRejectedAt: rejectionStats.lastRejectedAt,
+      lastRejectedIp: rejectionStats.lastRejectedIp,
+    },
+  };
+}
+
+module.exports = {
+  verifyKWatchWebhook,
+  computeSignature,
+  getClientIp,
+  getWebhookAuthStatus,
+};
@@ -1,15 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { classifyText, getClassifierStatus } = require('../services/brandClassifier');
+const { classifier: classifierConfig } = require('../config/kwatch');
+const { lintQuery } = require('../utils/queryLint');
 
-// POST /api/classify - Classify text against brand queries
+// POST /api/classify - Classify text or a post { title, content, author, platform, link } against brand queries
+// Optional "mode" ("single" | "multi") and "strategy" override the configured defaults
 router.post('/', (req, res) => {
   try {
-    const { text, title, content } = req.body;
+    const { text, title, content, author, platform, link, mode, strategy } = req.body;
     
-    // Support both { text } and { title, content } formats
+    // Support both { text } and { title, content } formats; a post can also carry
+    // author, platform and link for field-scoped queries
+    let input = text;
     let textToClassify = text;
     if (!textToClassify && content) {
+      input = { title, content, author, platform, link };
       textToClassify = `${title || ''} ${content}`;
     }
     
@@ -19,6 +25,13 @@ router.post('/', (req, res) => {
       });
     }
 
+    if (mode !== undefined && !classifierConfig.modes.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode "${mode}". Allowed: ${classifierConfig.modes.join(', ')}` });
+    }
+    if (strategy !== undefined && !classifierConfig.strategies.includes(strategy)) {
+      return res.status(400).json({ error: `Invalid strategy "${strategy}". Allowed: ${classifierConfig.strategies.join(', ')}` });
+    }
+
     const status = getClassifierStatus();
     if (!status.initialized) {
       return res.status(503).json({
@@ -27,13 +40,17 @@ router.post('/', (req, res) => {
       });
     }
 
-    const result = classifyText(textToClassify);
+    const result = classifyText(input, { mode, strategy });
     
     res.json({
       matched: result.matched,
+      mode: result.mode,
       classification: result.classification,
+      labels: result.labels,
+      resolution: result.resolution,
       textLength: textToClassify.length,
       queryCount: status.queryCount,
+      querySetVersion: status.querySetVersion,
     });
   } catch (error) {
     console.error('Classification error:', error);
@@ -41,6 +58,16 @@ router.post('/', (req, res) => {
   }
 });
 
+// POST /api/classify/validate - Check a brand query { query } without saving it
+// Returns { valid, errors, warnings }; each diagnostic has a code, message, line, column and snippet
+router.post('/validate', (req, res) => {
+  const { query } = req.body || {};
+  if (typeof query !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid "query" field in request body' });
+  }
+  res.json(lintQuery(query));
+});
+
 // GET /api/classify/status - Get classifier status
 router.get('/status', (req, res) => {
   const status = getClassifierStatus();
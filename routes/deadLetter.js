@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const { listDeadLetters, getDeadLetter, removeDeadLetter } = require('../services/deadLetterStore');
+const { addToQueue } = require('../services/kwatchQueue');
+
+// GET /api/dead-letter - List dead-lettered KWatch items (optional ?stage=raw|processed)
+router.get('/', (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const { stage } = req.query;
+
+    if (stage && stage !== 'raw' && stage !== 'processed') {
+      return res.status(400).json({ error: 'Stage must be "raw" or "processed"' });
+    }
+
+    const entries = listDeadLetters({ stage });
+    const totalItems = entries.length;
+
+    // Summaries only - GET /:id returns the full document
+    const items = entries.slice(offset, offset + limit).map(entry => ({
+      id: entry.id,
+      stage: entry.stage,
+      platform: entry.platform,
+      error: entry.error,
+      attempts: entry.attempts,
+      failureCount: entry.failureCount,
+      firstFailedAt: entry.firstFailedAt,
+      lastFailedAt: entry.lastFailedAt,
+    }));
+
+    res.json({
+      items,
+      pagination: {
+        page,
+        limit,
+        totalItems,
+        totalPages: Math.ceil(totalItems / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dead-lettered items:', error);
+    res.status(500).json({ error: 'Failed to fetch dead-lettered items' });
+  }
+});
+
+// GET /api/dead-letter/:id - Inspect a dead-lettered item
+router.get('/:id', (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead-lettered item not found' });
+  }
+  res.json(entry);
+});
+
+// POST /api/dead-letter/:id/requeue - Put the item back on the KWatch queue
+router.post('/:id/requeue', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = getDeadLetter(id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-lettered item not found' });
+    }
+
+    // Queued items are journaled, so removing the entry afterwards cannot lose it
+    const queueSize = await addToQueue(entry.document);
+    await removeDeadLetter(id);
+
+    console.log(`[DeadLetter] Item ${id} requeued (stage: ${entry.stage})`);
+    res.json({ message: 'Item requeued', id, queueSize });
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(429).json({ error: 'Queue is full, retry later', retryAfter: error.retryAfterSeconds });
+    }
+    if (error.code === 'SHUTTING_DOWN') {
+      return res.status(503).json({ error: 'Server is shutting down, retry later' });
+    }
+    console.error('Error requeuing dead-lettered item:', error);
+    res.status(500).json({ error: 'Failed to requeue item' });
+  }
+});
+
+// DELETE /api/dead-letter/:id - Discard a dead-lettered item
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const removed = await removeDeadLetter(id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Dead-lettered item not found' });
+    }
+
+    console.log(`[DeadLetter] Item ${id} discarded`);
+    res.json({ message: 'Item discarded', id });
+  } catch (error) {
+    console.error('Error discarding dead-lettered item:', error);
+    res.status(500).json({ error: 'Failed to discard item' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { getClassifierStatus, reloadQueries } = require('../services/brandClassifier');
+const { getClassifierStatus } = require('../services/brandClassifier');
+const { reloadBrandQueries } = require('../services/brandQueryStore');
 const { getQueueStatus } = require('../services/kwatchQueue');
+const { getWebhookAuthStatus } = require('../middleware/webhookAuth');
+const { getStorageStatus } = require('../services/storage');
+const { getReclassifyJob } = require('../services/reclassifyJob');
 
 // GET /api/health - Health check
 router.get('/', (req, res) => {
@@ -15,16 +19,21 @@ router.get('/', (req, res) => {
       brandClassifier: {
         initialized: classifierStatus.initialized,
         queryCount: classifierStatus.queryCount,
+        querySetVersion: classifierStatus.querySetVersion,
+        source: classifierStatus.source,
       },
       kwatchQueue: queueStatus,
+      webhookAuth: getWebhookAuthStatus(),
+      storage: getStorageStatus(),
+      reclassifyJob: getReclassifyJob(),
     },
   });
 });
 
-// POST /api/health/reload-classifier - Force reload brand queries
-router.post('/reload-classifier', (req, res) => {
+// POST /api/health/reload-classifier - Force reload brand queries from the query store
+router.post('/reload-classifier', async (req, res) => {
   try {
-    const result = reloadQueries();
+    const result = await reloadBrandQueries();
     res.json({
       success: result.success,
       message: result.success 
@@ -6,6 +6,9 @@ const webhookRoutes = require('./webhook');
 const itemsRoutes = require('./items'); // Testing routes
 const healthRoutes = require('./health');
 const classifyRoutes = require('./classify');
+const deadLetterRoutes = require('./deadLetter');
+const jobsRoutes = require('./jobs');
+const queriesRoutes = require('./queries');
 
 // Mount routes
 router.use('/webhook', webhookRoutes);
@@ -13,5 +16,8 @@ router.use('/kwatch', kwatchRoutes);
 router.use('/items', itemsRoutes);
 router.use('/health', healthRoutes);
 router.use('/classify', classifyRoutes);
+router.use('/dead-letter', deadLetterRoutes);
+router.use('/jobs', jobsRoutes);
+router.use('/queries', queriesRoutes);
 
 module.exports = router;
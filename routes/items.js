@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { container } = require('../config/database');
+const { testItems } = require('../services/storage');
 
 // GET /api/items - Fetch paginated items
 router.get('/', async (req, res) => {
@@ -9,20 +9,14 @@ router.get('/', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    const querySpec = {
-      query: 'SELECT * FROM c ORDER BY c.timestamp DESC OFFSET @offset LIMIT @limit',
-      parameters: [
-        { name: '@offset', value: offset },
-        { name: '@limit', value: limit }
-      ]
-    };
-
-    const { resources: items } = await container.items.query(querySpec).fetchAll();
+    const items = await testItems.query({
+      sort: { field: 'timestamp', order: 'desc' },
+      offset,
+      limit
+    });
     
     // Get total count
-    const countQuery = { query: 'SELECT VALUE COUNT(1) FROM c' };
-    const { resources: countResult } = await container.items.query(countQuery).fetchAll();
-    const totalItems = countResult[0] || 0;
+    const totalItems = await testItems.count();
 
     res.json({
       items,
@@ -50,7 +44,7 @@ router.post('/', async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    const { resource: createdItem } = await container.items.create(newItem);
+    const createdItem = await testItems.create(newItem);
     res.status(201).json(createdItem);
   } catch (error) {
     console.error('Error creating item:', error);
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startReclassifyJob,
+  resumeReclassifyJob,
+  stopReclassifyJob,
+  getReclassifyJob,
+} = require('../services/reclassifyJob');
+const { parseKWatchDate } = require('../utils/kwatchDate');
+
+// Date fields a re-classification range can be based on
+const RANGE_FIELDS = ['receivedAt', 'publishedAt'];
+
+// Map job errors to HTTP responses
+function sendJobError(res, error) {
+  if (error.code === 'JOB_NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (['JOB_RUNNING', 'JOB_NOT_RUNNING', 'JOB_NOT_RESUMABLE'].includes(error.code)) {
+    return res.status(409).json({ error: error.message, job: getReclassifyJob() });
+  }
+  console.error('Re-classification job error:', error);
+  res.status(500).json({ error: 'Re-classification job request failed' });
+}
+
+// POST /api/jobs/reclassify - Re-classify raw items { from, to, field } against the current brand queries
+router.post('/reclassify', (req, res) => {
+  try {
+    const { from, to, field = 'receivedAt' } = req.body || {};
+
+    if (!RANGE_FIELDS.includes(field)) {
+      return res.status(400).json({ error: `Invalid field "${field}". Allowed: ${RANGE_FIELDS.join(', ')}` });
+    }
+
+    const range = { field };
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value === undefined || value === null || value === '') continue;
+      const date = parseKWatchDate(value);
+      if (!date) {
+        return res.status(400).json({ error: `Invalid date for ${name}: "${value}"` });
+      }
+      range[name] = date.toISOString();
+    }
+    if (range.from && range.to && range.from > range.to) {
+      return res.status(400).json({ error: '"from" must not be after "to"' });
+    }
+
+    const job = startReclassifyJob(range);
+    res.status(202).json({ message: 'Re-classification job started', job });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// GET /api/jobs/reclassify - Progress of the current or last job
+router.get('/reclassify', (req, res) => {
+  const job = getReclassifyJob();
+  if (!job) {
+    return res.status(404).json({ error: 'No re-classification job has run yet' });
+  }
+  res.json(job);
+});
+
+// POST /api/jobs/reclassify/cancel - Stop the running job after its current batch
+router.post('/reclassify/cancel', async (req, res) => {
+  try {
+    const job = await stopReclassifyJob('cancelled');
+    res.json({ message: 'Re-classification job cancelled', job });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// POST /api/jobs/reclassify/resume - Continue a cancelled, interrupted or failed job
+router.post('/reclassify/resume', (req, res) => {
+  try {
+    const job = resumeReclassifyJob();
+    res.status(202).json({ message: 'Re-classification job resumed', job });
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+module.exports = router;
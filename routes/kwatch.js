@@ -1,41 +1,278 @@
 const express = require('express');
 const router = express.Router();
-const { kwatchContainer, kwatchProcessedContainer } = require('../config/database');
+const { rawItems, processedItems } = require('../services/storage');
 const { getQueueStatus } = require('../services/kwatchQueue');
+const { parseKWatchDate } = require('../utils/kwatchDate');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { listing: listingConfig } = require('../config/kwatch');
+
+// Cached totals: "<collection>:<filters>" -> { value, cachedAt, expiresAt }
+// Map order is least recently used first, capped at listing.countCacheMaxEntries
+const countCache = new Map();
+
+// Paging and sorting parameters accepted by every listing
+// page is the offset paging from before cursors, still accepted for one release
+const CONTROL_PARAMS = ['limit', 'cursor', 'page', 'sort', 'order', 'includeTotal'];
+
+// Inclusive date ranges: parameter -> [document field, operator]
+const RANGE_FILTERS = {
+  publishedFrom: ['publishedAt', 'gte'],
+  publishedTo: ['publishedAt', 'lte'],
+  receivedFrom: ['receivedAt', 'gte'],
+  receivedTo: ['receivedAt', 'lte'],
+};
+
+// Case-insensitive exact filters: parameter -> document field
+// Repeating a parameter (?platform=reddit&platform=x) matches any of the values
+// Array fields from enrichment match when any element equals the value
+const ARRAY_VALUE_FILTERS = {
+  hashtags: 'hashtags',
+  mentions: 'mentions',
+};
+const RAW_VALUE_FILTERS = {
+  platform: 'platform',
+  sentiment: 'sentiment',
+  author: 'author',
+  domain: 'domain',
+  subreddit: 'subreddit',
+  handle: 'handle',
+  ...ARRAY_VALUE_FILTERS,
+};
+const LABEL_FILTERS = {
+  topic: 'topic',
+  subTopic: 'subTopic',
+  queryName: 'queryName',
+  internalId: 'internalId',
+};
+const PROCESSED_VALUE_FILTERS = {
+  ...RAW_VALUE_FILTERS,
+  ...LABEL_FILTERS,
+};
+
+// Fields searched by the free-text ?q= filter
+const TEXT_SEARCH_FIELDS = ['title', 'content'];
+const MAX_FILTER_VALUE_LENGTH = 200;
+
+// Query parameter as a list of non-empty strings, or { error }
+function readValues(params, param) {
+  const raw = Array.isArray(params[param]) ? params[param] : [params[param]];
+  const values = raw.map(value => (typeof value === 'string' ? value.trim() : value));
+  if (values.some(value => typeof value !== 'string' || value.length === 0)) {
+    return { error: `${param} must be a non-empty string` };
+  }
+  if (values.some(value => value.length > MAX_FILTER_VALUE_LENGTH)) {
+    return { error: `${param} must be at most ${MAX_FILTER_VALUE_LENGTH} characters` };
+  }
+  return { values };
+}
+
+/**
+ * Build a paged, filtered listing from request query parameters
+ * Supports ?limit=&cursor= (cursor taken from the previous page's pagination.next),
+ * ?sort=<field>&order=asc|desc, date ranges (?publishedFrom=&publishedTo=&receivedFrom=&receivedTo=,
+ * any date KWatch or ISO format), ?publishedAtValid=true|false, the exact filters in valueFilters,
+ * free-text ?q= over title and content, and ?includeTotal=true. Unknown parameters are rejected.
+ * ?page= (deprecated) pages by offset instead of cursor, as before cursors were introduced.
+ * With labelFilters, ?labels=any makes topic/subTopic/queryName/internalId match any of a document's
+ * labels instead of only the primary classification (?labels=primary, the default).
+ * @param {Object} params - req.query
+ * @param {Object} options - { sortFields: allowed sort fields, defaultSort, valueFilters, labelFilters }
+ * @returns {Object} { error } or { filters, sort, limit, continuation, page, includeTotal }
+ */
+function buildListQuery(params, { sortFields, defaultSort, valueFilters, labelFilters = false }) {
+  const allowedParams = [
+    ...CONTROL_PARAMS, ...Object.keys(RANGE_FILTERS), 'publishedAtValid', ...Object.keys(valueFilters), 'q',
+    ...(labelFilters ? ['labels'] : []),
+  ];
+  const unknown = Object.keys(params).filter(param => !allowedParams.includes(param));
+  if (unknown.length > 0) {
+    return { error: `Unknown parameter "${unknown[0]}". Allowed: ${allowedParams.join(', ')}` };
+  }
+
+  const limit = Math.min(parseInt(params.limit) || 10, listingConfig.maxLimit);
+  if (limit < 1) {
+    return { error: 'Limit must be a positive number' };
+  }
+
+  const sort = params.sort || defaultSort;
+  if (!sortFields.includes(sort)) {
+    return { error: `Invalid sort field "${sort}". Allowed: ${sortFields.join(', ')}` };
+  }
+  const order = (params.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'Order must be "asc" or "desc"' };
+  }
+
+  const labels = params.labels || 'primary';
+  if (labels !== 'primary' && labels !== 'any') {
+    return { error: 'labels must be "primary" or "any"' };
+  }
+
+  const filters = [];
+
+  for (const [param, [field, op]] of Object.entries(RANGE_FILTERS)) {
+    if (params[param] === undefined) continue;
+    const date = parseKWatchDate(params[param]);
+    if (!date) {
+      return { error: `Invalid date for ${param}: "${params[param]}"` };
+    }
+    filters.push({ field, op, value: date.toISOString() });
+  }
+
+  if (params.publishedAtValid !== undefined) {
+    if (params.publishedAtValid !== 'true' && params.publishedAtValid !== 'false') {
+      return { error: 'publishedAtValid must be "true" or "false"' };
+    }
+    filters.push({ field: 'publishedAtValid', op: 'eq', value: params.publishedAtValid === 'true' });
+  }
+
+  for (const [param, field] of Object.entries(valueFilters)) {
+    if (params[param] === undefined) continue;
+    const { values, error } = readValues(params, param);
+    if (error) {
+      return { error };
+    }
+    const conditions = Array.from(new Set(values)).flatMap(value => {
+      if (ARRAY_VALUE_FILTERS[param]) {
+        // Stored without the # or @
+        return [{ field, op: 'elementEqi', value: value.replace(/^[#@]/, '') }];
+      }
+      return labels === 'any' && LABEL_FILTERS[param]
+        // The primary label too, for documents classified before labels were stored
+        ? [{ field, op: 'eqi', value }, { field: 'labels', op: 'elementEqi', key: field, value }]
+        : [{ field, op: 'eqi', value }];
+    });
+    filters.push(conditions.length === 1 ? conditions[0] : { any: conditions });
+  }
+
+  if (params.q !== undefined) {
+    const { values, error } = readValues(params, 'q');
+    if (error) {
+      return { error };
+    }
+    // Every search term must appear in the title or the content
+    values.forEach(value => {
+      filters.push({ any: TEXT_SEARCH_FIELDS.map(field => ({ field, op: 'contains', value })) });
+    });
+  }
+
+  const listing = { filters, sort: { field: sort, order }, limit };
+
+  let page = null;
+  if (params.page !== undefined) {
+    if (params.cursor) {
+      return { error: 'Use either cursor or page, not both' };
+    }
+    page = parseInt(params.page);
+    if (!(page >= 1)) {
+      return { error: 'Page must be a positive number' };
+    }
+  }
+
+  let continuation = null;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, listing);
+    if (cursor.error) {
+      return { error: cursor.error };
+    }
+    continuation = cursor.continuation;
+  }
+
+  return {
+    ...listing,
+    continuation,
+    page,
+    includeTotal: params.includeTotal === 'true',
+  };
+}
+
+// Drop expired totals, then the least recently used ones until there is room for one more
+function pruneCountCache() {
+  const now = Date.now();
+  for (const [key, entry] of countCache) {
+    if (entry.expiresAt <= now) countCache.delete(key);
+  }
+  while (countCache.size >= listingConfig.countCacheMaxEntries) {
+    countCache.delete(countCache.keys().next().value);
+  }
+}
+
+// Total count for a filter set, cached for listing.countCacheSeconds
+async function getCachedCount(collection, repository, filters) {
+  const key = `${collection}:${JSON.stringify(filters)}`;
+  const cached = countCache.get(key);
+  if (cached) {
+    countCache.delete(key);
+    if (cached.expiresAt > Date.now()) {
+      // Re-inserted as the most recently used
+      countCache.set(key, cached);
+      return { totalItems: cached.value, totalCachedAt: cached.cachedAt };
+    }
+  }
+
+  const value = await repository.count(filters);
+  const cachedAt = new Date().toISOString();
+  if (listingConfig.countCacheSeconds > 0) {
+    pruneCountCache();
+    countCache.set(key, { value, cachedAt, expiresAt: Date.now() + listingConfig.countCacheSeconds * 1000 });
+  }
+  return { totalItems: value, totalCachedAt: cachedAt };
+}
+
+// Deprecated ?page= listing: offset paging with the total, shaped like the listing before cursors
+async function listOffsetPage(collection, repository, { filters, sort, limit, page }) {
+  const items = await repository.query({ filters, sort, offset: (page - 1) * limit, limit });
+  const { totalItems, totalCachedAt } = await getCachedCount(collection, repository, filters);
+  return {
+    items,
+    pagination: { page, limit, totalItems, totalPages: Math.ceil(totalItems / limit), totalCachedAt },
+  };
+}
+
+// Fetch one page from a repository, plus the (cached) total when asked for
+async function listPage(collection, repository, listQuery, res) {
+  if (listQuery.page !== null) {
+    res.set('Deprecation', 'true');
+    res.set('Warning', '299 - "page is deprecated and will be removed; use cursor from pagination.next"');
+    return listOffsetPage(collection, repository, listQuery);
+  }
+
+  const { filters, sort, limit, continuation, includeTotal } = listQuery;
+  const page = await repository.queryPage({ filters, sort, limit, continuation });
+  const pagination = {
+    limit,
+    next: page.continuation ? encodeCursor(page.continuation, { filters, sort, limit }) : null,
+  };
+
+  if (includeTotal) {
+    Object.assign(pagination, await getCachedCount(collection, repository, filters));
+  }
+
+  return { items: page.items, pagination };
+}
 
 // GET /api/kwatch - KWatch Raw Data Retrieval Endpoint
 router.get('/', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const querySpec = {
-      query: 'SELECT * FROM c ORDER BY c.receivedAt DESC OFFSET @offset LIMIT @limit',
-      parameters: [
-        { name: '@offset', value: offset },
-        { name: '@limit', value: limit }
-      ]
-    };
-
-    const { resources: items } = await kwatchContainer.items.query(querySpec).fetchAll();
-    
-    // Get total count
-    const countQuery = { query: 'SELECT VALUE COUNT(1) FROM c' };
-    const { resources: countResult } = await kwatchContainer.items.query(countQuery).fetchAll();
-    const totalItems = countResult[0] || 0;
+    const listQuery = buildListQuery(req.query, {
+      sortFields: ['receivedAt', 'publishedAt'],
+      defaultSort: 'receivedAt',
+      valueFilters: RAW_VALUE_FILTERS,
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+    const { items, pagination } = await listPage('raw', rawItems, listQuery, res);
 
     res.json({
       items,
-      pagination: {
-        page,
-        limit,
-        totalItems,
-        totalPages: Math.ceil(totalItems / limit)
-      },
+      pagination,
       queueStatus: getQueueStatus()
     });
   } catch (error) {
+    if (error.code === 400) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Error fetching KWatch items:', error);
     res.status(500).json({ error: 'Failed to fetch KWatch items' });
   }
@@ -44,36 +281,26 @@ router.get('/', async (req, res) => {
 // GET /api/kwatch/processed - KWatch Processed (Classified) Data Retrieval Endpoint
 router.get('/processed', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const querySpec = {
-      query: 'SELECT * FROM c ORDER BY c.classifiedAt DESC OFFSET @offset LIMIT @limit',
-      parameters: [
-        { name: '@offset', value: offset },
-        { name: '@limit', value: limit }
-      ]
-    };
-
-    const { resources: items } = await kwatchProcessedContainer.items.query(querySpec).fetchAll();
-    
-    // Get total count
-    const countQuery = { query: 'SELECT VALUE COUNT(1) FROM c' };
-    const { resources: countResult } = await kwatchProcessedContainer.items.query(countQuery).fetchAll();
-    const totalItems = countResult[0] || 0;
+    const listQuery = buildListQuery(req.query, {
+      sortFields: ['classifiedAt', 'receivedAt', 'publishedAt'],
+      defaultSort: 'classifiedAt',
+      valueFilters: PROCESSED_VALUE_FILTERS,
+      labelFilters: true,
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+    const { items, pagination } = await listPage('processed', processedItems, listQuery, res);
 
     res.json({
       items,
-      pagination: {
-        page,
-        limit,
-        totalItems,
-        totalPages: Math.ceil(totalItems / limit)
-      },
+      pagination,
       queueStatus: getQueueStatus()
     });
   } catch (error) {
+    if (error.code === 400) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     console.error('Error fetching KWatch processed items:', error);
     res.status(500).json({ error: 'Failed to fetch KWatch processed items' });
   }
@@ -89,9 +316,12 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Platform (partition key) is required' });
     }
 
-    await kwatchContainer.item(id, platform).delete();
+    await rawItems.delete(id, platform);
     res.json({ message: 'Item deleted successfully', id });
   } catch (error) {
+    if (error.code === 404) {
+      return res.status(404).json({ error: 'Item not found', id: req.params.id });
+    }
     console.error('Error deleting KWatch item:', error);
     res.status(500).json({ error: 'Failed to delete item', reason: error });
   }
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listBrandQueries,
+  getBrandQuery,
+  createBrandQuery,
+  updateBrandQuery,
+  setBrandQueryEnabled,
+  deleteBrandQuery,
+  importCsvQueries,
+} = require('../services/brandQueryStore');
+
+// Map query store errors to HTTP responses
+function sendQueryError(res, error) {
+  if (error.code === 'INVALID_QUERY') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'QUERY_NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error('Brand query error:', error);
+  res.status(500).json({ error: 'Brand query request failed', message: error.message });
+}
+
+// GET /api/queries - List brand queries in evaluation order (?topic=, ?enabled=true|false)
+router.get('/', async (req, res) => {
+  try {
+    const { topic, enabled } = req.query;
+    if (enabled !== undefined && enabled !== 'true' && enabled !== 'false') {
+      return res.status(400).json({ error: '"enabled" must be true or false' });
+    }
+
+    const items = await listBrandQueries({
+      topic: typeof topic === 'string' ? topic : undefined,
+      enabled: enabled === undefined ? undefined : enabled === 'true',
+    });
+    res.json({ items, total: items.length });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// GET /api/queries/:id - Get one brand query
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getBrandQuery(req.params.id));
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// POST /api/queries - Add a brand query { topic, subTopic, queryName, internalId, queryText, priority, weight, enabled }
+router.post('/', async (req, res) => {
+  try {
+    const result = await createBrandQuery(req.body || {});
+    res.status(201).json({ message: 'Brand query created', ...result });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// POST /api/queries/import - Bring the store in line with config/BrandQueries.csv
+router.post('/import', async (req, res) => {
+  try {
+    const result = await importCsvQueries();
+    res.json({ message: 'BrandQueries.csv imported', ...result });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// PATCH /api/queries/:id - Change some fields of a brand query
+router.patch('/:id', async (req, res) => {
+  try {
+    const result = await updateBrandQuery(req.params.id, req.body || {});
+    res.json({ message: 'Brand query updated', ...result });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// POST /api/queries/:id/disable - Keep the query but stop classifying with it
+router.post('/:id/disable', async (req, res) => {
+  try {
+    const result = await setBrandQueryEnabled(req.params.id, false);
+    res.json({ message: 'Brand query disabled', ...result });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// POST /api/queries/:id/enable - Classify with a disabled query again
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const result = await setBrandQueryEnabled(req.params.id, true);
+    res.json({ message: 'Brand query enabled', ...result });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+// DELETE /api/queries/:id - Delete a brand query
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await deleteBrandQuery(req.params.id);
+    res.json({ message: 'Brand query deleted', id: req.params.id, ...result });
+  } catch (error) {
+    sendQueryError(res, error);
+  }
+});
+
+module.exports = router;
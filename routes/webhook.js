@@ -1,52 +1,178 @@
 const express = require('express');
 const router = express.Router();
-const { generateKWatchId, addToQueue } = require('../services/kwatchQueue');
+const { ingestKWatchPayload } = require('../services/kwatchIngest');
+const { verifyKWatchWebhook } = require('../middleware/webhookAuth');
+const { bulk: bulkConfig } = require('../config/kwatch');
 
 // POST /api/webhook/kwatch - KWatch Webhook Endpoint
-router.post('/kwatch', async (req, res) => {
+router.post('/kwatch', verifyKWatchWebhook, async (req, res) => {
   try {
     const payload = req.body;
-    
-    // Validate required fields
-    if (!payload.platform || !payload.query || !payload.datetime || 
-        !payload.link || !payload.author || !payload.content) {
-      return res.status(400).json({ 
+
+    // Validate, build the document and add to queue (journaled to disk before we answer) unless it is a repeat
+    const result = await ingestKWatchPayload(payload);
+
+    if (result.status === 'rejected') {
+      return res.status(400).json({
         error: 'Missing required fields',
-        received: Object.keys(payload)
+        missing: result.missing,
+        received: payload && typeof payload === 'object' ? Object.keys(payload) : []
       });
     }
 
-    // Generate unique ID
-    const uniqueId = generateKWatchId(payload.platform, payload.datetime, payload.author);
-
-    // Create normalized document for Cosmos DB
-    const kwatchDocument = {
-      id: uniqueId,
-      platform: payload.platform,
-      query: payload.query,
-      datetime: payload.datetime,
-      link: payload.link,
-      author: payload.author,
-      title: payload.title || '',
-      content: payload.content,
-      sentiment: payload.sentiment || 'neutral',
-      receivedAt: new Date().toISOString(),
-      processed: false // Flag for future processing
-    };
-
-    // Add to queue
-    const queuePosition = addToQueue(kwatchDocument);
-    
-    console.log(`KWatch notification queued: ${payload.platform} - ${uniqueId}`);
-    console.log(`Queue size: ${queuePosition}`);
+    if (result.status === 'duplicate') {
+      console.log(`KWatch notification duplicate, not queued: ${payload.platform} - ${result.id}`);
+    } else {
+      console.log(`KWatch notification queued: ${payload.platform} - ${result.id}`);
+      console.log(`Queue size: ${result.queueSize}`);
+    }
 
-    res.status(200).json({ 
-      message: 'Notification received',
+    res.status(200).json({
+      message: result.status === 'duplicate' ? 'Duplicate notification ignored' : 'Notification received',
+      id: result.id,
+      status: result.status,
     });
   } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      console.warn(`KWatch webhook rejected: ${error.message}`);
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(429).json({ error: 'Queue is full, retry later', retryAfter: error.retryAfterSeconds });
+    }
+    if (error.code === 'SHUTTING_DOWN') {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'Server is shutting down, retry later' });
+    }
     console.error('KWatch webhook error:', error);
     res.status(500).json({ error: 'Failed to process webhook' });
   }
 });
 
+// Read an NDJSON request body line by line into records ({ index, payload } or { index, reason })
+// Only bulk.maxLineBytes of a line are buffered; a longer line is skipped up to its newline
+// and recorded as 'line_too_long', so one runaway line cannot exhaust memory
+async function readNdjsonRecords(req) {
+  const records = [];
+  let index = 0;
+  let parts = []; // Buffers of the current line
+  let lineBytes = 0;
+
+  function endLine() {
+    const tooLong = lineBytes > bulkConfig.maxLineBytes;
+    const line = tooLong ? '' : Buffer.concat(parts).toString('utf-8');
+    parts = [];
+    lineBytes = 0;
+
+    if (!tooLong && !line.trim()) return;
+    if (records.length >= bulkConfig.maxRecords) {
+      // Keep reading so the signature still covers the whole body
+      index++;
+      return;
+    }
+    if (tooLong) {
+      records.push({ index, reason: 'line_too_long' });
+    } else {
+      try {
+        records.push({ index, payload: JSON.parse(line) });
+      } catch (err) {
+        records.push({ index, reason: 'invalid_json' });
+      }
+    }
+    index++;
+  }
+
+  for await (const chunk of req) {
+    if (req.signatureVerifier) req.signatureVerifier.update(chunk);
+
+    let start = 0;
+    while (start < chunk.length) {
+      const newline = chunk.indexOf(0x0a, start);
+      const end = newline === -1 ? chunk.length : newline;
+      lineBytes += end - start;
+      if (lineBytes <= bulkConfig.maxLineBytes) {
+        parts.push(chunk.subarray(start, end));
+      } else {
+        parts = [];
+      }
+      if (newline === -1) break;
+      endLine();
+      start = newline + 1;
+    }
+  }
+  if (lineBytes > 0) endLine();
+
+  return { records, total: index };
+}
+
+// Queue records one by one and collect a result per record
+async function ingestRecords(records) {
+  const results = [];
+  for (const record of records) {
+    if (record.reason) {
+      results.push({ index: record.index, status: 'rejected', reason: record.reason });
+      continue;
+    }
+    try {
+      const result = await ingestKWatchPayload(record.payload);
+      results.push({
+        index: record.index,
+        status: result.status,
+        id: result.id || undefined,
+        reason: result.reason || undefined,
+        missing: result.missing.length > 0 ? result.missing : undefined,
+      });
+    } catch (error) {
+      const reason = { QUEUE_FULL: 'queue_full', SHUTTING_DOWN: 'shutting_down' }[error.code] || 'internal_error';
+      if (reason === 'internal_error') {
+        console.error(`KWatch bulk record ${record.index} failed:`, error);
+      }
+      results.push({ index: record.index, status: 'rejected', reason });
+    }
+  }
+  return results;
+}
+
+// POST /api/webhook/kwatch/bulk - Bulk ingestion of a JSON array or NDJSON stream of KWatch payloads
+router.post('/kwatch/bulk', verifyKWatchWebhook, async (req, res) => {
+  try {
+    let records;
+    let total;
+
+    if (req.is('application/x-ndjson')) {
+      ({ records, total } = await readNdjsonRecords(req));
+      // Signed NDJSON bodies are only trusted once the whole body matched the signature
+      if (req.signatureVerifier && !req.signatureVerifier.verify(res)) {
+        return;
+      }
+    } else if (Array.isArray(req.body)) {
+      total = req.body.length;
+      records = req.body.slice(0, bulkConfig.maxRecords).map((payload, index) => ({ index, payload }));
+    } else {
+      return res.status(400).json({
+        error: 'Expected a JSON array or an application/x-ndjson body of KWatch payloads'
+      });
+    }
+
+    if (total > bulkConfig.maxRecords) {
+      return res.status(413).json({
+        error: `Too many records (${total}), the limit is ${bulkConfig.maxRecords} per request`
+      });
+    }
+
+    const results = await ingestRecords(records);
+    const summary = {
+      total: results.length,
+      queued: results.filter(r => r.status === 'queued').length,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      rejected: results.filter(r => r.status === 'rejected').length,
+    };
+
+    console.log(`KWatch bulk ingestion: ${summary.queued} queued, ${summary.duplicates} duplicates, ${summary.rejected} rejected`);
+
+    res.status(200).json({ ...summary, results });
+  } catch (error) {
+    console.error('KWatch bulk ingestion error:', error);
+    res.status(500).json({ error: 'Failed to process bulk upload' });
+  }
+});
+
 module.exports = router;
@@ -5,15 +5,30 @@ const path = require('path');
 
 // Import routes and services
 const routes = require('./routes');
-const { startQueueProcessor } = require('./services/kwatchQueue');
+const { startQueueProcessor, restoreQueueFromJournal, drainQueue } = require('./services/kwatchQueue');
 const { initializeBrandClassifier, getClassifierStatus } = require('./services/brandClassifier');
+const { initializeBrandQueryStore } = require('./services/brandQueryStore');
+const { getWebhookAuthStatus } = require('./middleware/webhookAuth');
+const { getStorageStatus } = require('./services/storage');
+const { restoreReclassifyJob, stopReclassifyJob } = require('./services/reclassifyJob');
+const { bulk: bulkConfig, shutdown: shutdownConfig, webhookAuth: webhookAuthConfig } = require('./config/kwatch');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// req.ip is the address the trusted proxies saw, not what the client wrote into X-Forwarded-For
+app.set('trust proxy', webhookAuthConfig.trustProxy);
+
+// Keep the raw body around for webhook signature verification
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Bulk uploads get a larger JSON limit; the general parser below skips already parsed bodies
+app.use('/api/webhook/kwatch/bulk', express.json({ limit: bulkConfig.maxBodySize, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -39,12 +54,72 @@ if (classifierInit.success) {
   console.error('[Server] Brand Classifier initialization failed:', classifierInit.error);
 }
 
-// Start queue processor for KWatch
-startQueueProcessor();
-console.log('[Server] KWatch queue processor started');
+// Switch to the stored brand queries once they are loaded; the CSV queries stay in use if the store fails
+// Queued items are only classified after that, so they are not stamped with a query set about to be replaced
+const queryStoreReady = initializeBrandQueryStore()
+  .then(result => console.log(`[Server] Brand Classifier using ${result.queryCount} stored queries`))
+  .catch(error => console.error('[Server] Failed to load stored brand queries, keeping BrandQueries.csv:', error.message));
+
+const webhookAuthStatus = getWebhookAuthStatus();
+if (webhookAuthStatus.enabled) {
+  console.log(`[Server] KWatch webhook auth enabled for sources: ${webhookAuthStatus.sources.join(', ')}`);
+} else {
+  console.warn('[Server] KWATCH_WEBHOOK_SECRETS not set - KWatch webhook accepts unauthenticated requests');
+}
+
+const storageStatus = getStorageStatus();
+console.log(`[Server] Storage backend: ${storageStatus.backend} (${storageStatus.location})`);
+if (storageStatus.fallback) {
+  console.warn('[Server] STORAGE_BACKEND and COSMOS_ENDPOINT not set - falling back to local JSON storage; ' +
+    'nothing is written to Cosmos. Set STORAGE_BACKEND=local to use local storage on purpose');
+}
+
+// Replay items accepted before the last restart; webhooks are queued (and journaled) right away,
+// and the queue processor for KWatch starts once the brand queries are final
+restoreQueueFromJournal();
+queryStoreReady.then(() => {
+  if (shuttingDown) return;
+  startQueueProcessor();
+  console.log('[Server] KWatch queue processor started');
+});
 
-app.listen(PORT, () => {
+// Load the last re-classification job so an interrupted one can be resumed
+restoreReclassifyJob();
+
+const server = app.listen(PORT, () => {
   const status = getClassifierStatus();
   console.log(`Server running on port ${PORT}`);
   console.log(`Brand Classifier: ${status.initialized ? 'Ready' : 'Not Ready'} (${status.queryCount} queries)`);
 });
+
+// Graceful shutdown: stop taking webhooks, flush the queue within the deadline, then close the server
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[Server] ${signal} received, shutting down (deadline ${shutdownConfig.timeoutMs}ms)...`);
+
+  // A running re-classification job stops after its current batch and can be resumed after the restart
+  stopReclassifyJob('interrupted').catch(() => {});
+
+  try {
+    const summary = await drainQueue(shutdownConfig.timeoutMs);
+    console.log(`[Server] Queue flushed: ${summary.flushed} stored, ${summary.classified} classified, ${summary.deadLettered} dead-lettered`);
+    if (summary.remaining > 0 || summary.inFlight) {
+      console.warn(`[Server] ${summary.remaining} queued item(s)${summary.inFlight ? ' and a batch in flight' : ''} left in the journal for the next start`);
+    }
+  } catch (error) {
+    console.error('[Server] Failed to flush queue:', error);
+  }
+
+  server.close(() => {
+    console.log('[Server] HTTP server closed');
+    process.exit(0);
+  });
+  // Drop idle keep-alive connections so close() does not wait on them (Node 18.2+; the timeout below covers older versions)
+  if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -1,10 +1,22 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { parseRule, evaluateRule } = require('../utils/parser');
+const { parseRule, prepareDocument, evaluateDocument, spansToHighlights } = require('../utils/parser');
+const { countRequiredTerms, rankCandidates } = require('./labelResolution');
+const { buildQueryIndex, findCandidates } = require('./queryIndex');
+const { classifier: classifierConfig } = require('../config/kwatch');
 
 // In-memory storage for compiled brand query ASTs
 let brandQueries = [];
+// Prefilter picking the queries worth evaluating for a text
+let queryIndex = buildQueryIndex([]);
 let isInitialized = false;
+// Hash of the loaded CSV, stamped on classifications so old labels can be traced to the queries that produced them
+let querySetVersion = null;
+let querySource = null; // 'csv' or 'store'
+let loadedAt = null;
+// Queries left out of the loaded set because they did not parse
+let failedQueries = [];
 
 /**
  * Parse CSV handling multi-line quoted fields
@@ -91,9 +103,127 @@ function parseCSV(csvContent) {
   return rows;
 }
 
+// Optional numeric CSV column; empty or invalid values fall back to the default
+function parseNumberColumn(value, defaultValue, column, queryName) {
+  if (value === undefined || value === '') return defaultValue;
+  const num = Number(value);
+  if (!Number.isFinite(num)) {
+    console.warn(`[BrandClassifier] Invalid ${column} "${value}" for query "${queryName}", using ${defaultValue}`);
+    return defaultValue;
+  }
+  return num;
+}
+
+// Read the query rows of config/BrandQueries.csv as query records
+function readCsvQueries() {
+  const csvPath = path.join(__dirname, '../config/BrandQueries.csv');
+  console.log(`[BrandClassifier] Loading brand queries from: ${csvPath}`);
+
+  const csvContent = fs.readFileSync(csvPath, 'utf-8');
+  const records = parseCSV(csvContent).map(row => {
+    const queryName = row['Query name'] || '';
+    return {
+      topic: row['Topic'] || '',
+      subTopic: row['Sub topic'] || '',
+      queryName,
+      internalId: row['Internal ID'] || '',
+      queryText: row['Query'] || '',
+      // Optional conflict resolution columns
+      priority: parseNumberColumn(row['Priority'], 0, 'Priority', queryName),
+      weight: parseNumberColumn(row['Weight'], 1, 'Weight', queryName),
+    };
+  });
+  return { records, csvContent };
+}
+
+// Parse query records in evaluation order; records that fail to parse are reported and left out
+function compileQueries(records) {
+  const failed = [];
+  const queries = [];
+
+  records.forEach((record, index) => {
+    const { topic, subTopic, queryName } = record;
+    let ast = null;
+    try {
+      ast = parseRule(record.queryText);
+    } catch (err) {
+      failed.push({
+        index, topic, subTopic, queryName, error: err.message, line: err.line, column: err.column, snippet: err.snippet,
+      });
+      console.warn(`[BrandClassifier] Failed to parse query "${queryName}": ${err.message}`);
+      return;
+    }
+    if (!ast) return; // Only keep successfully parsed queries
+
+    queries.push({
+      topic,
+      subTopic,
+      queryName,
+      internalId: record.internalId,
+      queryText: record.queryText,
+      priority: record.priority === undefined ? 0 : record.priority,
+      weight: record.weight === undefined ? 1 : record.weight,
+      order: index,
+      requiredTerms: countRequiredTerms(ast),
+      ast,
+    });
+  });
+  return { queries, failed };
+}
+
+// Version of a query set, over the fields that decide classifications (with the same defaults
+// compileQueries applies), so the same queries get the same version whether they come from the
+// CSV or the query store
+function computeQuerySetVersion(records) {
+  const content = JSON.stringify(records.map(r => [
+    r.topic, r.subTopic, r.queryName, r.internalId, r.queryText,
+    r.priority === undefined ? 0 : r.priority,
+    r.weight === undefined ? 1 : r.weight,
+  ]));
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// Swap in a new query set in one step, so classifications never see a half-built set
+function applyQuerySet(records, version, source) {
+  const { queries, failed } = compileQueries(records);
+  const index = buildQueryIndex(queries.map(q => q.ast));
+
+  brandQueries = queries;
+  queryIndex = index;
+  querySetVersion = version;
+  querySource = source;
+  loadedAt = new Date().toISOString();
+  failedQueries = failed;
+  isInitialized = true;
+
+  console.log(`[BrandClassifier] Initialization complete:`);
+  console.log(`  - Source: ${querySource}`);
+  console.log(`  - Query set version: ${querySetVersion}`);
+  console.log(`  - Total queries loaded: ${records.length}`);
+  console.log(`  - Successfully parsed: ${queries.length}`);
+  console.log(`  - Failed to parse: ${failedQueries.length}`);
+  console.log(`  - Always evaluated (no required term): ${queryIndex.always.length}`);
+
+  if (failedQueries.length > 0) {
+    console.log(`  - Failed queries:`);
+    failedQueries.forEach(fq => {
+      console.log(`    - ${fq.queryName}: ${fq.error}`);
+    });
+  }
+
+  return {
+    success: true,
+    queryCount: brandQueries.length,
+    querySetVersion,
+    parseSuccessCount: queries.length,
+    parseFailCount: failedQueries.length,
+    failedQueries,
+  };
+}
+
 /**
- * Initialize the brand classifier by loading and pre-compiling all queries
- * Should be called once at server startup
+ * Initialize the brand classifier by loading and pre-compiling all queries from BrandQueries.csv
+ * Should be called once at server startup; the query store replaces the set once it is loaded
  */
 function initializeBrandClassifier() {
   if (isInitialized) {
@@ -102,64 +232,8 @@ function initializeBrandClassifier() {
   }
 
   try {
-    const csvPath = path.join(__dirname, '../config/BrandQueries.csv');
-    console.log(`[BrandClassifier] Loading brand queries from: ${csvPath}`);
-
-    const csvContent = fs.readFileSync(csvPath, 'utf-8');
-    const rows = parseCSV(csvContent);
-
-    let parseSuccessCount = 0;
-    let parseFailCount = 0;
-    const failedQueries = [];
-
-    brandQueries = rows.map((row, index) => {
-      const topic = row['Topic'] || '';
-      const subTopic = row['Sub topic'] || '';
-      const queryName = row['Query name'] || '';
-      const internalId = row['Internal ID'] || '';
-      const queryText = row['Query'] || '';
-
-      let ast = null;
-      try {
-        ast = parseRule(queryText);
-        parseSuccessCount++;
-      } catch (err) {
-        parseFailCount++;
-        failedQueries.push({ index, topic, subTopic, queryName, error: err.message });
-        console.warn(`[BrandClassifier] Failed to parse query "${queryName}": ${err.message}`);
-      }
-
-      return {
-        topic,
-        subTopic,
-        queryName,
-        internalId,
-        queryText,
-        ast,
-      };
-    }).filter(q => q.ast !== null); // Only keep successfully parsed queries
-
-    isInitialized = true;
-
-    console.log(`[BrandClassifier] Initialization complete:`);
-    console.log(`  - Total queries loaded: ${rows.length}`);
-    console.log(`  - Successfully parsed: ${parseSuccessCount}`);
-    console.log(`  - Failed to parse: ${parseFailCount}`);
-
-    if (failedQueries.length > 0) {
-      console.log(`  - Failed queries:`);
-      failedQueries.forEach(fq => {
-        console.log(`    - ${fq.queryName}: ${fq.error}`);
-      });
-    }
-
-    return {
-      success: true,
-      queryCount: brandQueries.length,
-      parseSuccessCount,
-      parseFailCount,
-      failedQueries,
-    };
+    const { records } = readCsvQueries();
+    return applyQuerySet(records, computeQuerySetVersion(records), 'csv');
   } catch (error) {
     console.error('[BrandClassifier] Failed to initialize:', error);
     return {
@@ -170,44 +244,117 @@ function initializeBrandClassifier() {
 }
 
 /**
- * Classify text against all brand queries
- * Returns on first match (single classification only)
- * @param {string} text - The text to classify (content from social media post)
- * @returns {Object} Classification result with single match
+ * Replace the loaded queries, e.g. with the enabled queries of the query store
+ * @param {Array<Object>} records - { topic, subTopic, queryName, internalId, queryText, priority, weight } in evaluation order
+ * @param {string} source - Where the records came from, shown in the status
+ * @returns {Object} Load summary, as initializeBrandClassifier
  */
-function classifyText(text) {
+function replaceBrandQueries(records, source) {
+  return applyQuerySet(records, computeQuerySetVersion(records), source);
+}
+
+// Token spans [start, end) with the matched words, for auditing why a query matched
+function describeSpans(spans, tokens) {
+  return spans.map(([start, end]) => ({
+    start,
+    end,
+    text: tokens.slice(start, end).map(t => t.token).join(' '),
+  }));
+}
+
+// Label for a matched query; highlights are character ranges into the classified text
+function buildLabel(query, spans, tokens, text) {
+  return {
+    topic: query.topic,
+    subTopic: query.subTopic,
+    queryName: query.queryName,
+    internalId: query.internalId,
+    queryText: query.queryText,
+    priority: query.priority,
+    weight: query.weight,
+    spans: describeSpans(spans, tokens),
+    highlights: spansToHighlights(spans, tokens, text),
+    querySetVersion,
+  };
+}
+
+// Short form of a label that lost conflict resolution
+function summarizeLabel(label) {
+  return {
+    topic: label.topic,
+    subTopic: label.subTopic,
+    queryName: label.queryName,
+    internalId: label.internalId,
+    priority: label.priority,
+    weight: label.weight,
+  };
+}
+
+/**
+ * Classify a text or a post against all brand queries
+ * In "multi" mode every query is evaluated and all matches are returned in labels.
+ * In "single" mode only the primary label is returned; with the "order" strategy
+ * evaluation stops at the first matching query.
+ * The primary classification is chosen by the resolution strategy (CLASSIFIER_STRATEGY):
+ * "order" (CSV row order), "priority", "specificity" or "topicPrecedence".
+ * @param {string|Object} input - The text to classify, or a post { title, content, author, platform, link }
+ * for queries with field scopes (title:, author:, ...); a post is classified as `${title} ${content}`
+ * @param {Object} options - { mode: 'single' | 'multi', strategy } (default to CLASSIFIER_MODE / CLASSIFIER_STRATEGY)
+ * @returns {Object} { matched, mode, classification, labels, resolution } - classification is the
+ * primary label and labels are ranked with it first; each label has the matched query text, its token
+ * spans, its highlights ({ start, end, text } character ranges into the classified text) and the version
+ * of the query set; resolution is { strategy, candidates, losers }
+ */
+function classifyText(input, options = {}) {
+  const mode = options.mode || classifierConfig.mode;
+  const strategy = options.strategy || classifierConfig.strategy;
+  const noMatch = { matched: false, mode, classification: null, labels: [], resolution: null };
+
   if (!isInitialized) {
     console.warn('[BrandClassifier] Not initialized. Call initializeBrandClassifier() first.');
-    return { matched: false, classification: null };
+    return noMatch;
   }
 
-  if (!text || typeof text !== 'string' || text.trim() === '') {
-    return { matched: false, classification: null };
+  if (!input || (typeof input !== 'string' && typeof input !== 'object')) {
+    return noMatch;
   }
 
-  for (const query of brandQueries) {
+  // Tokenize once and only evaluate the queries whose required terms occur in the text
+  const doc = prepareDocument(input);
+  if (doc.text.trim() === '') {
+    return noMatch;
+  }
+  const candidates = [];
+  for (const position of findCandidates(queryIndex, doc.words)) {
+    const query = brandQueries[position];
     try {
-      const result = evaluateRule(query.ast, text);
+      const result = evaluateDocument(query.ast, doc);
       if (result.matched) {
-        // Return immediately on first match
-        return {
-          matched: true,
-          classification: {
-            topic: query.topic,
-            subTopic: query.subTopic,
-            queryName: query.queryName,
-            internalId: query.internalId,
-          },
-        };
+        const label = buildLabel(query, result.spans, doc.tokens, doc.text);
+        candidates.push({ ...label, order: query.order, requiredTerms: query.requiredTerms, label });
+        // In row order the first match always wins, so single mode can stop here
+        if (mode === 'single' && strategy === 'order') break;
       }
     } catch (err) {
       console.error(`[BrandClassifier] Error evaluating query "${query.queryName}":`, err.message);
     }
   }
 
+  if (candidates.length === 0) {
+    return noMatch;
+  }
+
+  const ranked = rankCandidates(candidates, strategy, classifierConfig.topicPrecedence).map(c => c.label);
   return {
-    matched: false,
-    classification: null,
+    matched: true,
+    mode,
+    classification: ranked[0],
+    labels: mode === 'single' ? [ranked[0]] : ranked,
+    resolution: {
+      strategy,
+      candidates: ranked.length,
+      losers: ranked.slice(1).map(summarizeLabel),
+    },
   };
 }
 
@@ -216,19 +363,20 @@ function getClassifierStatus() {
   return {
     initialized: isInitialized,
     queryCount: brandQueries.length,
+    querySetVersion,
+    source: querySource,
+    loadedAt,
+    failedQueries,
+    mode: classifierConfig.mode,
+    strategy: classifierConfig.strategy,
+    topicPrecedence: classifierConfig.topicPrecedence,
   };
 }
 
-// Force re-initialization (useful for hot-reloading queries)
-function reloadQueries() {
-  isInitialized = false;
-  brandQueries = [];
-  return initializeBrandClassifier();
-}
-
 module.exports = {
   initializeBrandClassifier,
   classifyText,
   getClassifierStatus,
-  reloadQueries,
+  readCsvQueries,
+  replaceBrandQueries,
 };
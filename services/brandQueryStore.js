@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { brandQueries: queryRepository } = require('./storage');
+const { parseRule } = require('../utils/parser');
+const { readCsvQueries, replaceBrandQueries } = require('./brandClassifier');
+
+// Brand queries kept in storage and managed through /api/queries
+// The store is seeded from config/BrandQueries.csv when it is empty; later CSV changes are brought in
+// with importCsvQueries. CSV rows get IDs derived from their content (source 'csv'), so an import can
+// be repeated or resumed and only adds, updates or removes what changed; queries added through the API
+// (source 'api') are kept. After every change the classifier's query set is rebuilt from the enabled
+// stored queries, in "order". Changes run one at a time, so each rebuild sees the store as its change left it.
+
+const TEXT_FIELDS = ['topic', 'subTopic', 'queryName', 'internalId', 'queryText'];
+const NUMBER_FIELDS = ['priority', 'weight'];
+const EDITABLE_FIELDS = [...TEXT_FIELDS, ...NUMBER_FIELDS, 'enabled'];
+
+// Queries read per storage page when loading the whole store
+const READ_PAGE_SIZE = 500;
+
+let changeChain = Promise.resolve();
+
+function queryError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Run changes one after another; a failed change does not block the next one
+function serialize(fn) {
+  const run = changeChain.then(fn);
+  changeChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check query fields; the query text must parse
+ * @param {Object} query - Complete query (all text fields present)
+ * @throws {Error} code 'INVALID_QUERY'
+ */
+function validateQuery(query) {
+  TEXT_FIELDS.forEach(field => {
+    if (typeof query[field] !== 'string') {
+      throw queryError('INVALID_QUERY', `"${field}" must be a string`);
+    }
+  });
+  ['topic', 'subTopic', 'queryText'].forEach(field => {
+    if (!query[field].trim()) {
+      throw queryError('INVALID_QUERY', `"${field}" is required`);
+    }
+  });
+  NUMBER_FIELDS.forEach(field => {
+    if (typeof query[field] !== 'number' || !Number.isFinite(query[field])) {
+      throw queryError('INVALID_QUERY', `"${field}" must be a number`);
+    }
+  });
+  if (typeof query.enabled !== 'boolean') {
+    throw queryError('INVALID_QUERY', '"enabled" must be true or false');
+  }
+
+  let ast;
+  try {
+    ast = parseRule(query.queryText);
+  } catch (err) {
+    throw queryError('INVALID_QUERY', `Query text does not parse: ${err.message}`);
+  }
+  if (!ast) {
+    throw queryError('INVALID_QUERY', 'Query text has no terms');
+  }
+}
+
+// Only the editable fields of a request body
+function pickEditable(body) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+}
+
+async function readAllQueries() {
+  const queries = [];
+  let continuation = null;
+  do {
+    const page = await queryRepository.queryPage({
+      sort: { field: 'order', order: 'asc' },
+      limit: READ_PAGE_SIZE,
+      continuation,
+    });
+    queries.push(...page.items);
+    continuation = page.continuation;
+  } while (continuation);
+  return queries;
+}
+
+async function readQuery(id) {
+  const query = await queryRepository.read(id, id);
+  if (!query) {
+    throw queryError('QUERY_NOT_FOUND', `Brand query ${id} not found`);
+  }
+  return query;
+}
+
+// Rebuild the classifier from the enabled stored queries
+async function rebuildClassifier() {
+  const queries = await readAllQueries();
+  return replaceBrandQueries(queries.filter(query => query.enabled), 'store');
+}
+
+function classifierSummary(result) {
+  return { queryCount: result.queryCount, querySetVersion: result.querySetVersion };
+}
+
+// CSV rows with their stored IDs: a hash of the row, numbered when the same row appears again
+function csvRowsWithIds() {
+  const { records } = readCsvQueries();
+  const seen = new Map();
+  return records.map(record => {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([record.topic, record.subTopic, record.queryName, record.internalId, record.queryText]))
+      .digest('hex')
+      .slice(0, 32);
+    const occurrence = (seen.get(hash) || 0) + 1;
+    seen.set(hash, occurrence);
+    return { id: occurrence === 1 ? `csv-${hash}` : `csv-${hash}-${occurrence}`, record };
+  });
+}
+
+// Bring the store in line with the CSV: upsert every row in CSV order, remove CSV queries that are no
+// longer in it and move API queries after them. A disabled row stays disabled.
+async function importFromCsv() {
+  const rows = csvRowsWithIds();
+  const existing = new Map((await readAllQueries()).map(query => [query.id, query]));
+  const now = new Date().toISOString();
+  const summary = { rows: rows.length, created: 0, updated: 0, unchanged: 0, removed: 0 };
+
+  for (const [order, { id, record }] of rows.entries()) {
+    const stored = existing.get(id);
+    existing.delete(id);
+    const changed = !stored || stored.order !== order
+      || Object.keys(record).some(field => stored[field] !== record[field]);
+    if (!changed) {
+      summary.unchanged += 1;
+      continue;
+    }
+    await queryRepository.upsert({
+      ...stored,
+      id,
+      ...record,
+      source: 'csv',
+      enabled: stored ? stored.enabled : true,
+      order,
+      createdAt: stored ? stored.createdAt : now,
+      updatedAt: now,
+    });
+    summary[stored ? 'updated' : 'created'] += 1;
+  }
+
+  const kept = [];
+  for (const query of existing.values()) {
+    if (query.source === 'csv') {
+      await queryRepository.delete(query.id, query.id);
+      summary.removed += 1;
+    } else {
+      kept.push(query);
+    }
+  }
+  kept.sort((a, b) => a.order - b.order);
+  for (const [offset, query] of kept.entries()) {
+    if (query.order !== rows.length + offset) {
+      await queryRepository.upsert({ ...query, order: rows.length + offset });
+    }
+  }
+
+  console.log(`[BrandQueryStore] Imported BrandQueries.csv: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.removed} removed`);
+  return summary;
+}
+
+// Warn when the CSV has rows the store does not (CSV edited, or an interrupted seed)
+async function warnIfCsvChanged() {
+  const rows = csvRowsWithIds();
+  const storedIds = new Set((await readAllQueries()).map(query => query.id));
+  const missing = rows.filter(({ id }) => !storedIds.has(id)).length;
+  if (missing > 0) {
+    console.warn(`[BrandQueryStore] ${missing} of ${rows.length} BrandQueries.csv rows are not in the store (CSV changed, rows deleted or an interrupted seed); POST /api/queries/import brings them in`);
+  }
+  return missing;
+}
+
+/**
+ * Load the stored queries into the classifier, seeding the store from the CSV if it is empty
+ * @returns {Promise<Object>} Load summary from the classifier
+ */
+function initializeBrandQueryStore() {
+  return serialize(async () => {
+    if (await queryRepository.count() === 0) {
+      await importFromCsv();
+    } else {
+      await warnIfCsvChanged();
+    }
+    return rebuildClassifier();
+  });
+}
+
+/**
+ * Import config/BrandQueries.csv into the store, e.g. after editing the CSV
+ * Rows are upserted by their content-derived IDs, so the import can be repeated or rerun after a failure
+ * @returns {Promise<Object>} { import: { rows, created, updated, unchanged, removed }, classifier }
+ */
+function importCsvQueries() {
+  return serialize(async () => {
+    const summary = await importFromCsv();
+    const result = await rebuildClassifier();
+    return { import: summary, classifier: classifierSummary(result) };
+  });
+}
+
+/**
+ * Rebuild the classifier from the store (e.g. after editing the store directly)
+ * @returns {Promise<Object>} Load summary from the classifier
+ */
+function reloadBrandQueries() {
+  return serialize(rebuildClassifier);
+}
+
+/**
+ * List stored queries in evaluation order
+ * @param {Object} options - { topic, enabled } (both optional)
+ * @returns {Promise<Array<Object>>} Queries
+ */
+async function listBrandQueries({ topic, enabled } = {}) {
+  const queries = await readAllQueries();
+  return queries.filter(query => (topic === undefined || query.topic.toLowerCase() === topic.toLowerCase())
+    && (enabled === undefined || query.enabled === enabled));
+}
+
+function getBrandQuery(id) {
+  return readQuery(id);
+}
+
+/**
+ * Add a query after the existing ones
+ * @param {Object} body - { topic, subTopic, queryName, internalId, queryText, priority, weight, enabled }
+ * @returns {Promise<Object>} { query, classifier }
+ * @throws {Error} code 'INVALID_QUERY'
+ */
+function createBrandQuery(body) {
+  return serialize(async () => {
+    const now = new Date().toISOString();
+    const query = {
+      queryName: '',
+      internalId: '',
+      priority: 0,
+      weight: 1,
+      enabled: true,
+      ...pickEditable(body),
+      source: 'api',
+    };
+    validateQuery(query);
+
+    const existing = await readAllQueries();
+    const order = existing.reduce((max, q) => Math.max(max, q.order), -1) + 1;
+    const stored = await queryRepository.create({
+      id: crypto.randomUUID(), ...query, order, createdAt: now, updatedAt: now,
+    });
+    const result = await rebuildClassifier();
+    console.log(`[BrandQueryStore] Created query ${stored.id} (${stored.topic} / ${stored.subTopic})`);
+    return { query: stored, classifier: classifierSummary(result) };
+  });
+}
+
+/**
+ * Change some fields of a query
+ * @param {string} id - Query ID
+ * @param {Object} changes - Any of the editable fields
+ * @returns {Promise<Object>} { query, classifier }
+ * @throws {Error} code 'QUERY_NOT_FOUND' or 'INVALID_QUERY'
+ */
+function updateBrandQuery(id, changes) {
+  return serialize(async () => {
+    const existing = await readQuery(id);
+    const query = { ...existing, ...pickEditable(changes), updatedAt: new Date().toISOString() };
+    validateQuery(query);
+
+    const stored = await queryRepository.upsert(query);
+    const result = await rebuildClassifier();
+    console.log(`[BrandQueryStore] Updated query ${id}`);
+    return { query: stored, classifier: classifierSummary(result) };
+  });
+}
+
+function setBrandQueryEnabled(id, enabled) {
+  return updateBrandQuery(id, { enabled });
+}
+
+/**
+ * Delete a query
+ * @param {string} id - Query ID
+ * @returns {Promise<Object>} { classifier }
+ * @throws {Error} code 'QUERY_NOT_FOUND'
+ */
+function deleteBrandQuery(id) {
+  return serialize(async () => {
+    try {
+      await queryRepository.delete(id, id);
+    } catch (err) {
+      if (err.code === 404) throw queryError('QUERY_NOT_FOUND', `Brand query ${id} not found`);
+      throw err;
+    }
+    const result = await rebuildClassifier();
+    console.log(`[BrandQueryStore] Deleted query ${id}`);
+    return { classifier: classifierSummary(result) };
+  });
+}
+
+module.exports = {
+  initializeBrandQueryStore,
+  reloadBrandQueries,
+  importCsvQueries,
+  listBrandQueries,
+  getBrandQuery,
+  createBrandQuery,
+  updateBrandQuery,
+  setBrandQueryEnabled,
+  deleteBrandQuery,
+};
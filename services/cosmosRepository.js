@@ -0,0 +1,141 @@
+const { CosmosClient } = require('@azure/cosmos');
+const { assertFieldName, assertFilters } = require('../utils/filterSpec');
+
+// Cosmos DB implementation of the storage repository interface (see services/storage.js)
+
+const SQL_COMPARISONS = { eq: '=', gte: '>=', lte: '<=' };
+
+let client = null;
+
+// Singleton client, created on first use so the app can load without credentials
+function getClient(settings) {
+  if (!client) {
+    client = new CosmosClient({ endpoint: settings.endpoint, key: settings.key });
+  }
+  return client;
+}
+
+// Property reference for a validated field name; the bracket form keeps names that are SQL
+// keywords (order, value, select, ...) from breaking the query
+function propertyPath(field) {
+  return `c["${field}"]`;
+}
+
+// SQL for one condition; values always go through parameters
+function buildCondition(filter, parameters) {
+  if (filter.any) {
+    return `(${filter.any.map(condition => buildCondition(condition, parameters)).join(' OR ')})`;
+  }
+
+  const name = `@p${parameters.length}`;
+  parameters.push({ name, value: filter.value });
+  const path = propertyPath(filter.field);
+  if (filter.op === 'elementEqi') {
+    const element = filter.key === undefined ? 'e' : `e["${filter.key}"]`;
+    return `EXISTS(SELECT VALUE e FROM e IN ${path} WHERE STRINGEQUALS(${element}, ${name}, true))`;
+  }
+  if (filter.op === 'eqi') return `STRINGEQUALS(${path}, ${name}, true)`;
+  if (filter.op === 'contains') return `CONTAINS(${path}, ${name}, true)`;
+  return `${path} ${SQL_COMPARISONS[filter.op]} ${name}`;
+}
+
+// Translate a filter spec into a WHERE clause and query parameters
+function buildWhere(filters = []) {
+  assertFilters(filters);
+  const parameters = [];
+  const conditions = filters.map(filter => buildCondition(filter, parameters));
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    parameters,
+  };
+}
+
+function buildOrderBy(sort) {
+  if (!sort) return '';
+  // Field names are validated, so they can be inlined
+  assertFieldName(sort.field);
+  return ` ORDER BY ${propertyPath(sort.field)} ${sort.order === 'asc' ? 'ASC' : 'DESC'}`;
+}
+
+/**
+ * Create a repository backed by a Cosmos container
+ * @param {Object} settings - Cosmos settings from config/database.js
+ * @param {string} databaseId - Database name
+ * @param {string} containerId - Container name
+ * @returns {Object} Repository
+ */
+function createCosmosRepository(settings, databaseId, containerId) {
+  const container = () => getClient(settings).database(databaseId).container(containerId);
+
+  return {
+    backend: 'cosmos',
+
+    async create(document) {
+      const { resource } = await container().items.create(document);
+      return resource;
+    },
+
+    async upsert(document) {
+      const { resource } = await container().items.upsert(document);
+      return resource;
+    },
+
+    async read(id, partitionKey) {
+      try {
+        const { resource } = await container().item(id, partitionKey).read();
+        return resource || null;
+      } catch (err) {
+        if (err.code === 404) return null;
+        throw err;
+      }
+    },
+
+    async delete(id, partitionKey) {
+      await container().item(id, partitionKey).delete();
+    },
+
+    async query({ filters, sort, offset = 0, limit = 10 } = {}) {
+      const { where, parameters } = buildWhere(filters);
+      const querySpec = {
+        query: `SELECT * FROM c${where}${buildOrderBy(sort)} OFFSET @offset LIMIT @limit`,
+        parameters: [
+          ...parameters,
+          { name: '@offset', value: offset },
+          { name: '@limit', value: limit },
+        ],
+      };
+      const { resources } = await container().items.query(querySpec).fetchAll();
+      return resources;
+    },
+
+    async queryPage({ filters, sort, limit = 10, continuation } = {}) {
+      const { where, parameters } = buildWhere(filters);
+      const querySpec = { query: `SELECT * FROM c${where}${buildOrderBy(sort)}`, parameters };
+      const iterator = container().items.query(querySpec, {
+        maxItemCount: limit,
+        continuationToken: continuation || undefined,
+      });
+
+      // Cross-partition queries can return empty pages before the next results
+      let response = await iterator.fetchNext();
+      while (response.resources.length === 0 && response.continuationToken) {
+        response = await iterator.fetchNext();
+      }
+      return { items: response.resources, continuation: response.continuationToken || null };
+    },
+
+    async count(filters) {
+      const { where, parameters } = buildWhere(filters);
+      const { resources } = await container().items
+        .query({ query: `SELECT VALUE COUNT(1) FROM c${where}`, parameters })
+        .fetchAll();
+      return resources[0] || 0;
+    },
+  };
+}
+
+module.exports = {
+  createCosmosRepository,
+  _internals: { buildWhere, buildOrderBy },
+};
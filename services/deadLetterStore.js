@@ -0,0 +1,99 @@
+const fs = require('fs');
+const { createAtomicWriter } = require('../utils/atomicFile');
+const { deadLetter: deadLetterConfig } = require('../config/kwatch');
+
+// Dead-letter store for KWatch items whose Cosmos writes kept failing
+// Kept on local disk (Cosmos is what failed) as one JSON file: id -> entry
+let entries = null;
+const writeStore = createAtomicWriter(deadLetterConfig.path);
+
+function loadEntries() {
+  if (entries) return entries;
+  entries = new Map();
+
+  if (fs.existsSync(deadLetterConfig.path)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(deadLetterConfig.path, 'utf-8'));
+      Object.values(stored).forEach(entry => entries.set(entry.id, entry));
+    } catch (err) {
+      console.error(`[DeadLetter] Failed to read ${deadLetterConfig.path}:`, err.message);
+    }
+  }
+  return entries;
+}
+
+// Write the whole store atomically (temp file + rename), one write at a time
+function persist() {
+  return writeStore(JSON.stringify(Object.fromEntries(loadEntries()), null, 2));
+}
+
+/**
+ * Store an item that could not be written to Cosmos
+ * @param {Object} document - Raw KWatch document
+ * @param {string} stage - Failed step: 'raw' (raw container) or 'processed' (processed container)
+ * @param {Error} error - Last error
+ * @returns {Promise<Object>} Stored entry
+ */
+async function addDeadLetter(document, stage, error) {
+  const store = loadEntries();
+  const previous = store.get(document.id);
+  const now = new Date().toISOString();
+
+  const entry = {
+    id: document.id,
+    stage,
+    platform: document.platform,
+    document,
+    error: {
+      message: error ? error.message : 'Unknown error',
+      code: error ? error.code : undefined,
+    },
+    attempts: (error && error.attempts) || 1,
+    firstFailedAt: previous ? previous.firstFailedAt : now,
+    lastFailedAt: now,
+    failureCount: previous ? previous.failureCount + 1 : 1,
+  };
+
+  store.set(document.id, entry);
+  await persist();
+  return entry;
+}
+
+// List dead-lettered items, newest failure first
+function listDeadLetters({ stage } = {}) {
+  return Array.from(loadEntries().values())
+    .filter(entry => !stage || entry.stage === stage)
+    .sort((a, b) => b.lastFailedAt.localeCompare(a.lastFailedAt));
+}
+
+// Get a single dead-lettered item
+function getDeadLetter(id) {
+  return loadEntries().get(id) || null;
+}
+
+// Remove an item from the store; resolves to false if it was not there
+async function removeDeadLetter(id) {
+  const store = loadEntries();
+  if (!store.has(id)) return false;
+  store.delete(id);
+  await persist();
+  return true;
+}
+
+// Get dead-letter status
+function getDeadLetterStatus() {
+  const all = Array.from(loadEntries().values());
+  return {
+    total: all.length,
+    raw: all.filter(entry => entry.stage === 'raw').length,
+    processed: all.filter(entry => entry.stage === 'processed').length,
+  };
+}
+
+module.exports = {
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  getDeadLetterStatus,
+};
@@ -0,0 +1,178 @@
+const { canonicalizeLink } = require('../utils/link');
+
+// Platform-aware enrichment of KWatch items: entities from the text and source details from the link
+
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(?:^|[^\p{L}\p{N}_.@/])@([A-Za-z0-9_](?:[A-Za-z0-9_.]*[A-Za-z0-9_])?)/gu;
+// Reddit-style user references ("u/name", "/u/name")
+const REDDIT_USER_PATTERN = /(?:^|[^\p{L}\p{N}_/])\/?u\/([A-Za-z0-9_-]{3,20})/gu;
+const URL_PATTERN = /https?:\/\/[^\s<>"'`)\]}]+/gi;
+
+function unique(values) {
+  return Array.from(new Set(values));
+}
+
+function matchAll(pattern, text) {
+  return Array.from(text.matchAll(pattern), match => match[1]);
+}
+
+// Hashtags without "#", lowercased
+function extractHashtags(text) {
+  return unique(matchAll(HASHTAG_PATTERN, text).map(tag => tag.toLowerCase()));
+}
+
+// Mentioned handles without "@", lowercased (Reddit "u/name" references included)
+function extractMentions(text, platform) {
+  const mentions = matchAll(MENTION_PATTERN, text);
+  if (platform === 'reddit') {
+    mentions.push(...matchAll(REDDIT_USER_PATTERN, text));
+  }
+  return unique(mentions.map(handle => handle.toLowerCase()));
+}
+
+// Canonical outbound URLs, excluding the post's own link
+function extractUrls(text, ownLink) {
+  const urls = (text.match(URL_PATTERN) || [])
+    .map(url => url.replace(/[.,;:!?]+$/, ''))
+    .map(canonicalizeLink);
+  return unique(urls).filter(url => url !== ownLink);
+}
+
+function pathSegments(url) {
+  return url.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (err) {
+      return segment;
+    }
+  });
+}
+
+// Per-host extraction of subreddit, post ID and handle from a canonical link
+const LINK_PARSERS = {
+  'reddit.com': (url) => {
+    const segments = pathSegments(url);
+    const info = {};
+    if (segments[0] === 'r' && segments[1]) {
+      info.subreddit = segments[1].toLowerCase();
+      if (segments[2] === 'comments' && segments[3]) info.postId = segments[3];
+    } else if ((segments[0] === 'user' || segments[0] === 'u') && segments[1]) {
+      info.handle = segments[1].toLowerCase();
+      if (segments[2] === 'comments' && segments[3]) info.postId = segments[3];
+    } else if (segments[0] === 'comments' && segments[1]) {
+      info.postId = segments[1];
+    }
+    return info;
+  },
+  'redd.it': (url) => ({ postId: pathSegments(url)[0] }),
+  'x.com': (url) => {
+    const segments = pathSegments(url);
+    const info = {};
+    if (segments[0] && segments[0] !== 'i') info.handle = segments[0].toLowerCase();
+    const statusIndex = segments.indexOf('status');
+    if (statusIndex !== -1 && segments[statusIndex + 1]) info.postId = segments[statusIndex + 1];
+    return info;
+  },
+  'linkedin.com': (url) => {
+    const segments = pathSegments(url);
+    const info = {};
+    if (segments[0] === 'posts' && segments[1]) {
+      // /posts/<handle>_<slug>-activity-<id>-<suffix>
+      const activity = /^(.+?)_.*-activity-(\d+)/.exec(segments[1]);
+      if (activity) {
+        info.handle = activity[1].toLowerCase();
+        info.postId = activity[2];
+      }
+    } else if (segments[0] === 'feed' && segments[1] === 'update' && segments[2]) {
+      const urn = /activity:(\d+)/.exec(segments[2]);
+      if (urn) info.postId = urn[1];
+    } else if ((segments[0] === 'in' || segments[0] === 'company') && segments[1]) {
+      info.handle = segments[1].toLowerCase();
+    }
+    return info;
+  },
+  'news.ycombinator.com': (url) => ({ postId: url.searchParams.get('id') || undefined }),
+  'youtube.com': (url) => {
+    const segments = pathSegments(url);
+    const info = {};
+    if (url.searchParams.get('v')) info.postId = url.searchParams.get('v');
+    if ((segments[0] === 'shorts' || segments[0] === 'live') && segments[1]) info.postId = segments[1];
+    if (segments[0] && segments[0].startsWith('@')) info.handle = segments[0].slice(1).toLowerCase();
+    if ((segments[0] === 'channel' || segments[0] === 'c' || segments[0] === 'user') && segments[1]) {
+      info.handle = segments[1].toLowerCase();
+    }
+    return info;
+  },
+  'facebook.com': (url) => {
+    const segments = pathSegments(url);
+    const info = {};
+    if (url.searchParams.get('story_fbid')) info.postId = url.searchParams.get('story_fbid');
+    if (segments[0] === 'groups' && segments[1]) {
+      info.handle = segments[1].toLowerCase();
+    } else if (segments[0] && !['permalink.php', 'story.php', 'watch', 'photo.php'].includes(segments[0])) {
+      info.handle = segments[0].toLowerCase();
+    }
+    const postIndex = segments.findIndex(segment => segment === 'posts' || segment === 'videos');
+    if (postIndex !== -1 && segments[postIndex + 1]) info.postId = segments[postIndex + 1];
+    return info;
+  },
+  'instagram.com': (url) => {
+    const segments = pathSegments(url);
+    if ((segments[0] === 'p' || segments[0] === 'reel') && segments[1]) return { postId: segments[1] };
+    return segments[0] ? { handle: segments[0].toLowerCase() } : {};
+  },
+  'quora.com': (url) => {
+    const segments = pathSegments(url);
+    if (segments[0] === 'profile' && segments[1]) return { handle: segments[1].toLowerCase() };
+    return segments[0] ? { postId: segments[0] } : {};
+  },
+};
+
+/**
+ * Extract source details from a post link
+ * @param {string} link - Post link as received
+ * @returns {Object} { canonicalLink, domain, subreddit, postId, handle } (null where unknown)
+ */
+function parseLink(link) {
+  const canonicalLink = canonicalizeLink(link);
+  const info = { canonicalLink, domain: null, subreddit: null, postId: null, handle: null };
+
+  let url;
+  try {
+    url = new URL(canonicalLink);
+  } catch (err) {
+    return info;
+  }
+
+  info.domain = url.hostname;
+  const parser = LINK_PARSERS[url.hostname];
+  if (parser) {
+    Object.entries(parser(url)).forEach(([key, value]) => {
+      if (value) info[key] = value;
+    });
+  }
+  return info;
+}
+
+/**
+ * Enrich a KWatch payload with structured fields
+ * @param {Object} payload - KWatch payload ({ platform, link, title, content })
+ * @returns {Object} { canonicalLink, domain, subreddit, postId, handle, hashtags, mentions, urls }
+ */
+function enrichKWatchItem(payload) {
+  const platform = String(payload.platform || '').toLowerCase();
+  const text = `${payload.title || ''}\n${payload.content || ''}`;
+  const linkInfo = parseLink(payload.link);
+
+  return {
+    ...linkInfo,
+    hashtags: extractHashtags(text),
+    mentions: extractMentions(text, platform),
+    urls: extractUrls(text, linkInfo.canonicalLink),
+  };
+}
+
+module.exports = {
+  enrichKWatchItem,
+  parseLink,
+};
@@ -0,0 +1,58 @@
+const { dedup: dedupConfig } = require('../config/kwatch');
+
+// Recently accepted document IDs -> time first seen (ms)
+// Map keeps insertion order, so the oldest entries are always at the front
+const recentIds = new Map();
+let duplicatesSuppressed = 0;
+
+// Drop entries older than the dedup window (and the oldest ones beyond the size cap)
+function pruneExpired(now = Date.now()) {
+  const cutoff = now - dedupConfig.windowSeconds * 1000;
+  for (const [id, seenAt] of recentIds) {
+    if (seenAt >= cutoff && recentIds.size <= dedupConfig.maxEntries) break;
+    recentIds.delete(id);
+  }
+}
+
+/**
+ * Check whether a document ID was already accepted within the dedup window
+ * @param {string} id - Content-based document ID
+ * @returns {boolean} True if the ID is a recent duplicate
+ */
+function isRecentDuplicate(id) {
+  if (dedupConfig.windowSeconds === 0) return false;
+  pruneExpired();
+  if (recentIds.has(id)) {
+    duplicatesSuppressed++;
+    return true;
+  }
+  return false;
+}
+
+// Remember an accepted document ID
+function markSeen(id, seenAt = Date.now()) {
+  if (dedupConfig.windowSeconds === 0) return;
+  recentIds.delete(id);
+  recentIds.set(id, seenAt);
+}
+
+// Forget an ID again (e.g. when queuing it failed after all)
+function forgetSeen(id) {
+  recentIds.delete(id);
+}
+
+// Get dedup status
+function getDedupStatus() {
+  return {
+    windowSeconds: dedupConfig.windowSeconds,
+    tracked: recentIds.size,
+    duplicatesSuppressed,
+  };
+}
+
+module.exports = {
+  isRecentDuplicate,
+  markSeen,
+  forgetSeen,
+  getDedupStatus,
+};
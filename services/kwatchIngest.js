@@ -0,0 +1,68 @@
+const { generateKWatchId, enqueueIfNew } = require('./kwatchQueue');
+const { enrichKWatchItem } = require('./enrichment');
+const { normalizePublishedAt } = require('../utils/kwatchDate');
+
+// Fields every KWatch payload must carry
+const REQUIRED_FIELDS = ['platform', 'query', 'datetime', 'link', 'author', 'content'];
+
+/**
+ * Validate a KWatch payload
+ * @param {*} payload - Parsed request body or bulk record
+ * @returns {Object} { valid, reason, missing }
+ */
+function validateKWatchPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { valid: false, reason: 'not_an_object', missing: [] };
+  }
+  const missing = REQUIRED_FIELDS.filter(field => !payload[field]);
+  if (missing.length > 0) {
+    return { valid: false, reason: 'missing_fields', missing };
+  }
+  return { valid: true, reason: null, missing: [] };
+}
+
+// Create normalized document for Cosmos DB
+function buildKWatchDocument(payload) {
+  return {
+    // Content-based ID - identical redeliveries get the same ID
+    id: generateKWatchId(payload),
+    platform: payload.platform,
+    query: payload.query,
+    datetime: payload.datetime,
+    // Sortable publish time parsed from datetime (null + publishedAtValid: false if unparseable)
+    ...normalizePublishedAt(payload.datetime),
+    link: payload.link,
+    author: payload.author,
+    title: payload.title || '',
+    content: payload.content,
+    sentiment: payload.sentiment || 'neutral',
+    // Canonical link, subreddit/post ID/handle, hashtags, mentions and outbound URLs
+    ...enrichKWatchItem(payload),
+    receivedAt: new Date().toISOString(),
+    processed: false // Flag for future processing
+  };
+}
+
+/**
+ * Validate, build and queue a single KWatch payload
+ * Queue errors (including QUEUE_FULL) are passed on to the caller
+ * @param {Object} payload - KWatch payload
+ * @returns {Promise<Object>} { status: 'queued' | 'duplicate' | 'rejected', id, reason, missing, queueSize }
+ */
+async function ingestKWatchPayload(payload) {
+  const validation = validateKWatchPayload(payload);
+  if (!validation.valid) {
+    return { status: 'rejected', id: null, reason: validation.reason, missing: validation.missing };
+  }
+
+  const document = buildKWatchDocument(payload);
+  const { status, queueSize } = await enqueueIfNew(document);
+  return { status, id: document.id, reason: null, missing: [], queueSize };
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  validateKWatchPayload,
+  buildKWatchDocument,
+  ingestKWatchPayload,
+};
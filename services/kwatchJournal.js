@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomicFile');
+const { journal: journalConfig } = require('../config/kwatch');
+
+// Append-only journal of accepted KWatch documents
+// One JSON record per line: { op: 'add', doc } when accepted, { op: 'ack', id } once stored in Cosmos
+const pendingEntries = new Map(); // id -> document, written but not yet acknowledged
+let fileHandle = null;
+let ackedSinceCompaction = 0;
+let writeChain = Promise.resolve();
+
+// Serialize all file operations so appends, acks and compaction never interleave
+function enqueueWrite(operation) {
+  const run = writeChain.then(operation);
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+async function getFileHandle() {
+  if (!fileHandle) {
+    await fs.promises.mkdir(path.dirname(journalConfig.path), { recursive: true });
+    fileHandle = await fs.promises.open(journalConfig.path, 'a');
+  }
+  return fileHandle;
+}
+
+async function closeFileHandle() {
+  if (fileHandle) {
+    const handle = fileHandle;
+    fileHandle = null;
+    await handle.close();
+  }
+}
+
+async function writeRecords(records) {
+  const handle = await getFileHandle();
+  const data = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+  await handle.appendFile(data, 'utf-8');
+  if (journalConfig.fsync) {
+    await handle.datasync();
+  }
+}
+
+// Rewrite the journal with only the unacknowledged documents
+async function compact() {
+  await closeFileHandle();
+
+  if (pendingEntries.size === 0) {
+    await fs.promises.writeFile(journalConfig.path, '', 'utf-8');
+  } else {
+    const data = Array.from(pendingEntries.values())
+      .map(doc => JSON.stringify({ op: 'add', doc }))
+      .join('\n') + '\n';
+    await writeFileAtomic(journalConfig.path, data);
+  }
+
+  ackedSinceCompaction = 0;
+}
+
+/**
+ * Durably record an accepted document before it is queued
+ * Resolves once the record is on disk
+ * @param {Object} document - KWatch document
+ */
+function appendToJournal(document) {
+  return enqueueWrite(async () => {
+    await writeRecords([{ op: 'add', doc: document }]);
+    pendingEntries.set(document.id, document);
+  });
+}
+
+/**
+ * Mark documents as stored so they are not replayed again
+ * The journal is truncated once nothing is pending, or compacted after enough acks
+ * @param {Array<string>} ids - Document IDs confirmed by Cosmos
+ */
+function acknowledgeJournalEntries(ids) {
+  const known = ids.filter(id => pendingEntries.has(id));
+  if (known.length === 0) return Promise.resolve();
+
+  return enqueueWrite(async () => {
+    known.forEach(id => pendingEntries.delete(id));
+    ackedSinceCompaction += known.length;
+
+    if (pendingEntries.size === 0 || ackedSinceCompaction >= journalConfig.compactThreshold) {
+      await compact();
+    } else {
+      await writeRecords(known.map(id => ({ op: 'ack', id })));
+    }
+  });
+}
+
+/**
+ * Read the journal left by a previous run
+ * Should be called once at startup, before any new documents are appended
+ * @returns {Array<Object>} Documents that were accepted but never acknowledged
+ */
+function loadJournal() {
+  pendingEntries.clear();
+
+  if (!fs.existsSync(journalConfig.path)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(journalConfig.path, 'utf-8').split('\n');
+  let skipped = 0;
+
+  lines.forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const record = JSON.parse(line);
+      if (record.op === 'add' && record.doc && record.doc.id) {
+        pendingEntries.set(record.doc.id, record.doc);
+      } else if (record.op === 'ack') {
+        pendingEntries.delete(record.id);
+      }
+    } catch (err) {
+      // A crash mid-write can leave a partial last line
+      skipped++;
+    }
+  });
+
+  if (skipped > 0) {
+    console.warn(`[KWatchJournal] Skipped ${skipped} unreadable journal line(s)`);
+  }
+
+  // Start the new run from a compacted file
+  enqueueWrite(compact).catch(err => {
+    console.error('[KWatchJournal] Failed to compact journal:', err.message);
+  });
+
+  return Array.from(pendingEntries.values());
+}
+
+// Wait for pending writes and close the journal file (used on shutdown)
+function closeJournal() {
+  return enqueueWrite(closeFileHandle);
+}
+
+// Get journal status
+function getJournalStatus() {
+  return {
+    path: journalConfig.path,
+    pending: pendingEntries.size,
+  };
+}
+
+module.exports = {
+  appendToJournal,
+  acknowledgeJournalEntries,
+  loadJournal,
+  closeJournal,
+  getJournalStatus,
+};
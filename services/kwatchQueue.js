@@ -1,127 +1,297 @@
 const crypto = require('crypto');
-const { kwatchContainer, kwatchProcessedContainer } = require('../config/database');
-const { classifyText } = require('./brandClassifier');
+const { rawItems, processedItems } = require('./storage');
+const { classifyKWatchItem } = require('./processedDocument');
+const { appendToJournal, acknowledgeJournalEntries, loadJournal, closeJournal, getJournalStatus } = require('./kwatchJournal');
+const { isRecentDuplicate, markSeen, forgetSeen, getDedupStatus } = require('./kwatchDedup');
+const { addDeadLetter, getDeadLetterStatus } = require('./deadLetterStore');
+const { canonicalizeLink } = require('../utils/link');
+const { withRetry, createRetryOptions } = require('../utils/retry');
+const { retry: retryConfig, queue: queueConfig } = require('../config/kwatch');
 
 // In-memory queue for handling webhook notifications
 const kwatchQueue = [];
 let isProcessingQueue = false;
-const BATCH_SIZE = 10; // Process 10 items at a time
-const BATCH_INTERVAL = 60000; // Process every 60 seconds
+let pendingAppends = 0; // Items being journaled, not yet pushed onto the queue
+let activeRun = null; // Promise of the drain currently running
+let processorInterval = null;
+let acceptingItems = true; // Cleared on shutdown
+let drainDeadline = Infinity; // No new batch is started after this time (set on shutdown)
 
-// Generate unique ID for KWatch items
-function generateKWatchId(platform, datetime, author) {
-  const input = `${platform}-${datetime}-${author}-${Date.now()}`;
-  return crypto.createHash('md5').update(input).digest('hex');
+// Running totals, used for the shutdown summary
+const queueStats = {
+  stored: 0,
+  deadLettered: 0,
+  classified: 0,
+};
+
+/**
+ * Generate a deterministic ID for a KWatch item
+ * Derived from platform, canonical link and content, so a repeated delivery
+ * of the same notification always gets the same ID
+ * @param {Object} payload - KWatch payload ({ platform, link, content })
+ * @returns {string} Hex SHA-256 digest
+ */
+function generateKWatchId({ platform, link, content }) {
+  const normalizedContent = String(content || '').replace(/\s+/g, ' ').trim();
+  const input = [
+    String(platform || '').trim().toLowerCase(),
+    canonicalizeLink(link),
+    normalizedContent,
+  ].join('\n');
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+// Retry options for storage writes, logging each retry
+const retryOptions = createRetryOptions('KWatchQueue', retryConfig);
+
+// Insert a raw item - an already existing document (409) counts as stored
+async function insertRawItem(item) {
+  try {
+    await withRetry(() => rawItems.create(item), retryOptions(`Raw insert of ${item.id}`));
+  } catch (err) {
+    if (err.code !== 409) throw err;
+  }
 }
 
 // Classify a single item and push to processed container if matched
+// Throws if the push still fails after retries
 async function classifyAndPushIfMatched(item) {
-  // Combine title + content for classification
-  const textToClassify = `${item.title || ''} ${item.content || ''}`;
-  const classificationResult = classifyText(textToClassify);
+  const { matched, classification, document: processedDocument } = classifyKWatchItem(item);
   
   // If item matched a brand query, push to processed container
-  if (classificationResult.matched) {
+  if (matched) {
     try {
-      const classification = classificationResult.classification;
-      
-      const processedDocument = {
-        id: item.id,
-        platform: item.platform,
-        query: item.query, // Original KWatch query
-        datetime: item.datetime,
-        link: item.link,
-        author: item.author,
-        title: item.title || '',
-        content: item.content,
-        sentiment: item.sentiment,
-        receivedAt: item.receivedAt,
-        // Brand classification results
-        topic: classification.topic,
-        subTopic: classification.subTopic,
-        queryName: classification.queryName,
-        internalId: classification.internalId,
-      };
-
-      await kwatchProcessedContainer.items.create(processedDocument);
+      await withRetry(
+        () => processedItems.create(processedDocument),
+        retryOptions(`Processed insert of ${item.id}`)
+      );
       console.log(`[BrandClassifier] Item ${item.id} classified as "${classification.topic}/${classification.subTopic}" and pushed to processed container`);
       return true;
     } catch (err) {
       // Handle conflict (item already exists) gracefully
       if (err.code === 409) {
         console.log(`[BrandClassifier] Item ${item.id} already exists in processed container, skipping`);
-      } else {
-        console.error(`[BrandClassifier] Failed to push item ${item.id} to processed container:`, err.message);
+        return false;
       }
+      throw err;
     }
   }
   return false;
 }
 
-// Process queue in batches
-async function processKWatchQueue() {
+// Store one item (raw insert, then classification); items that keep failing go to the dead-letter store
+async function processQueueItem(item) {
+  try {
+    await insertRawItem(item);
+  } catch (err) {
+    console.error(`Failed to insert item ${item.id} after ${err.attempts || 1} attempt(s):`, err.message);
+    await addDeadLetter(item, 'raw', err);
+    return { stored: false, classified: false, deadLettered: true };
+  }
+
+  try {
+    const classified = await classifyAndPushIfMatched(item);
+    return { stored: true, classified, deadLettered: false };
+  } catch (err) {
+    console.error(`[BrandClassifier] Failed to push item ${item.id} to processed container after ${err.attempts || 1} attempt(s):`, err.message);
+    await addDeadLetter(item, 'processed', err);
+    return { stored: true, classified: false, deadLettered: true };
+  }
+}
+
+// Process a single batch
+async function processBatch(batch) {
+  console.log(`Processing ${batch.length} KWatch notifications...`);
+
+  // Process batch items in parallel, each with its own retries
+  const results = await Promise.allSettled(batch.map(item => processQueueItem(item)));
+  const outcomes = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+
+  const successful = outcomes.filter(o => o.stored).length;
+  const deadLettered = outcomes.filter(o => o.deadLettered).length;
+  const matchedCount = outcomes.filter(o => o.classified).length;
+
+  console.log(`Batch complete: ${successful} raw inserted, ${deadLettered} dead-lettered, ${matchedCount} classified`);
+  queueStats.stored += successful;
+  queueStats.deadLettered += deadLettered;
+  queueStats.classified += matchedCount;
+
+  // Items that are stored or dead-lettered leave the journal; anything else is replayed on restart
+  results.forEach((result, idx) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to process item ${batch[idx].id}, kept in journal:`, result.reason);
+    }
+  });
+  const settledIds = batch
+    .filter((item, idx) => results[idx].status === 'fulfilled')
+    .map(item => item.id);
+  await acknowledgeJournalEntries(settledIds);
+}
+
+// Process queue in batches, draining until it is empty
+// Returns the promise of the running drain, so callers can wait for it
+function processKWatchQueue() {
   if (isProcessingQueue || kwatchQueue.length === 0) {
-    return;
+    return activeRun || Promise.resolve();
   }
 
   isProcessingQueue = true;
   
-  try {
-    const batch = kwatchQueue.splice(0, BATCH_SIZE);
-    console.log(`Processing ${batch.length} KWatch notifications...`);
-
-    // Process batch items in parallel
-    const results = await Promise.allSettled(
-      batch.map(item => kwatchContainer.items.create(item))
-    );
-
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    const failed = results.filter(r => r.status === 'rejected').length;
-
-    // Classify and push matched items to processed container
-    const classificationResults = await Promise.all(
-      batch.map(item => classifyAndPushIfMatched(item))
-    );
-    const matchedCount = classificationResults.filter(matched => matched).length;
-
-    console.log(`Batch complete: ${successful} raw inserted, ${failed} failed, ${matchedCount} classified`);
-    
-    // Log any failures
-    results.forEach((result, idx) => {
-      if (result.status === 'rejected') {
-        console.error(`Failed to insert item ${batch[idx].id}:`, result.reason);
+  activeRun = (async () => {
+    try {
+      while (kwatchQueue.length > 0 && Date.now() < drainDeadline) {
+        const batch = kwatchQueue.splice(0, queueConfig.batchSize);
+        await processBatch(batch);
       }
-    });
+    } catch (error) {
+      console.error('Queue processing error:', error);
+    } finally {
+      isProcessingQueue = false;
+      activeRun = null;
+    }
+  })();
+  return activeRun;
+}
 
-  } catch (error) {
-    console.error('Queue processing error:', error);
-  } finally {
-    isProcessingQueue = false;
-  }
+// Whether the queue has reached its maximum depth
+function isQueueFull() {
+  return kwatchQueue.length + pendingAppends >= queueConfig.maxDepth;
 }
 
-// Add item to queue
-function addToQueue(document) {
+// Add item to queue - resolves once the document is journaled to disk
+// Rejects with code 'QUEUE_FULL' when the queue is at its maximum depth
+async function addToQueue(document) {
+  if (!acceptingItems) {
+    const err = new Error('KWatch queue is shutting down');
+    err.code = 'SHUTTING_DOWN';
+    throw err;
+  }
+  if (isQueueFull()) {
+    const err = new Error(`KWatch queue is full (${queueConfig.maxDepth} items)`);
+    err.code = 'QUEUE_FULL';
+    err.retryAfterSeconds = Math.ceil(queueConfig.intervalMs / 1000);
+    throw err;
+  }
+
+  pendingAppends++;
+  try {
+    await appendToJournal(document);
+  } finally {
+    pendingAppends--;
+  }
   kwatchQueue.push(document);
+
+  // Flush early instead of waiting for the next interval
+  if (kwatchQueue.length >= queueConfig.highWaterMark && processorInterval && !isProcessingQueue) {
+    setImmediate(processKWatchQueue);
+  }
   return kwatchQueue.length;
 }
 
+/**
+ * Queue a newly received document unless it is a recent duplicate
+ * @param {Object} document - KWatch document with a content-based ID
+ * @returns {Promise<Object>} { status: 'queued' | 'duplicate', queueSize }
+ */
+async function enqueueIfNew(document) {
+  if (isRecentDuplicate(document.id)) {
+    return { status: 'duplicate', queueSize: kwatchQueue.length };
+  }
+
+  // Mark before the async journal write so a concurrent redelivery is caught too
+  markSeen(document.id);
+  try {
+    const queueSize = await addToQueue(document);
+    return { status: 'queued', queueSize };
+  } catch (err) {
+    forgetSeen(document.id);
+    throw err;
+  }
+}
+
+// Re-queue documents accepted by a previous run but never stored
+function restoreQueueFromJournal() {
+  const documents = loadJournal();
+  documents.forEach(doc => markSeen(doc.id, Date.parse(doc.receivedAt) || Date.now()));
+  kwatchQueue.push(...documents);
+  if (documents.length > 0) {
+    console.log(`[KWatchJournal] Restored ${documents.length} unprocessed item(s) from journal`);
+  }
+  return documents.length;
+}
+
 // Get queue status
 function getQueueStatus() {
   return {
     pending: kwatchQueue.length,
-    processing: isProcessingQueue
+    started: processorInterval !== null,
+    processing: isProcessingQueue,
+    accepting: acceptingItems,
+    maxDepth: queueConfig.maxDepth,
+    highWaterMark: queueConfig.highWaterMark,
+    journal: getJournalStatus(),
+    dedup: getDedupStatus(),
+    deadLetter: getDeadLetterStatus()
   };
 }
 
 // Start queue processor interval
 function startQueueProcessor() {
-  return setInterval(processKWatchQueue, BATCH_INTERVAL);
+  processorInterval = setInterval(processKWatchQueue, queueConfig.intervalMs);
+  return processorInterval;
+}
+
+/**
+ * Stop the queue for shutdown: refuse new items, stop the interval, finish the
+ * batch in flight and flush what is left until the deadline
+ * Items not flushed in time stay in the journal and are replayed on the next start
+ * @param {number} timeoutMs - Time allowed for flushing
+ * @returns {Promise<Object>} Summary { flushed, deadLettered, classified, remaining, timedOut }
+ */
+async function drainQueue(timeoutMs) {
+  acceptingItems = false;
+  // Before the processor started the final query set was not loaded yet; leave the items to the journal
+  const started = processorInterval !== null;
+  if (processorInterval) {
+    clearInterval(processorInterval);
+    processorInterval = null;
+  }
+
+  const before = { ...queueStats };
+  drainDeadline = Date.now() + timeoutMs;
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(true), timeoutMs);
+  });
+  const drained = (async () => {
+    // Wait for the batch in flight, then drain the rest
+    await (activeRun || Promise.resolve());
+    if (started) await processKWatchQueue();
+    await closeJournal();
+    return false;
+  })();
+
+  const timedOut = await Promise.race([drained, timeout]);
+  clearTimeout(timer);
+
+  return {
+    flushed: queueStats.stored - before.stored,
+    deadLettered: queueStats.deadLettered - before.deadLettered,
+    classified: queueStats.classified - before.classified,
+    remaining: kwatchQueue.length,
+    inFlight: isProcessingQueue,
+    timedOut,
+  };
 }
 
 module.exports = {
   generateKWatchId,
   addToQueue,
+  isQueueFull,
+  enqueueIfNew,
+  restoreQueueFromJournal,
   getQueueStatus,
-  startQueueProcessor
+  startQueueProcessor,
+  drainQueue
 };
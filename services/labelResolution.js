@@ -0,0 +1,87 @@
+// Strategies for choosing the primary label when several brand queries match
+//  - order:           first match in BrandQueries.csv row order
+//  - priority:        highest Priority, then highest Weight
+//  - specificity:     most matched tokens (times Weight), then most required query terms
+//  - topicPrecedence: topic listed first in CLASSIFIER_TOPIC_PRECEDENCE, then as "priority"
+// Every strategy falls back to row order on a tie. The strategy is set by CLASSIFIER_STRATEGY.
+
+/**
+ * Minimum number of query terms a text has to contain for the query to match
+ * AND and NEAR need both sides, OR only its cheaper side, NOT NEAR its left side; NOT adds nothing
+ * @param {Object} node - Parsed query AST
+ * @returns {number} Required term count
+ */
+function countRequiredTerms(node) {
+  if (!node) return 0;
+  switch (node.type) {
+    case 'TERM':
+    case 'WILDCARD':
+    case 'PATTERN':
+    case 'REGEX':
+      return 1;
+    case 'PHRASE':
+    case 'EXACT':
+      return node.tokens.length;
+    case 'NOT':
+      return 0;
+    case 'NOT_NEAR':
+      return countRequiredTerms(node.left);
+    case 'SCOPE':
+      return countRequiredTerms(node.child);
+    case 'AND':
+    case 'NEAR':
+      return countRequiredTerms(node.left) + countRequiredTerms(node.right);
+    case 'OR':
+      return Math.min(countRequiredTerms(node.left), countRequiredTerms(node.right));
+    default:
+      return 0;
+  }
+}
+
+// Number of text tokens covered by the matched spans
+function matchedTokenCount(candidate) {
+  return candidate.spans.reduce((total, span) => total + (span.end - span.start), 0);
+}
+
+function topicRank(topic, precedence) {
+  const index = precedence.indexOf(String(topic).toLowerCase());
+  return index === -1 ? precedence.length : index;
+}
+
+// Sort keys per strategy: compared in order, lower sorts first
+const SORT_KEYS = {
+  order: () => [],
+  priority: (candidate) => [-candidate.priority, -candidate.weight],
+  specificity: (candidate) => [-(matchedTokenCount(candidate) * candidate.weight), -candidate.requiredTerms],
+  topicPrecedence: (candidate, precedence) => [
+    topicRank(candidate.topic, precedence), -candidate.priority, -candidate.weight,
+  ],
+};
+
+/**
+ * Order matched candidates so the winner comes first
+ * @param {Array<Object>} candidates - Matches in row order, each with { topic, spans, priority, weight, requiredTerms, order }
+ * @param {string} strategy - 'order', 'priority', 'specificity' or 'topicPrecedence'
+ * @param {Array<string>} topicPrecedence - Lowercased topics, most important first
+ * @returns {Array<Object>} Candidates, winner first
+ */
+function rankCandidates(candidates, strategy, topicPrecedence = []) {
+  const sortKey = SORT_KEYS[strategy] || SORT_KEYS.order;
+  const keyed = candidates.map(candidate => ({
+    candidate,
+    key: [...sortKey(candidate, topicPrecedence), candidate.order],
+  }));
+
+  keyed.sort((a, b) => {
+    for (let i = 0; i < a.key.length; i++) {
+      if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+    }
+    return 0;
+  });
+  return keyed.map(entry => entry.candidate);
+}
+
+module.exports = {
+  countRequiredTerms,
+  rankCandidates,
+};
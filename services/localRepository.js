@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { createAtomicWriter } = require('../utils/atomicFile');
+const { assertFieldName, assertFilters, compareValues, matchesFilters } = require('../utils/filterSpec');
+
+// Local implementation of the storage repository interface (see services/storage.js)
+// Each collection is kept in memory and written to one JSON file; meant for development and tests
+
+// Errors carry the same numeric codes as Cosmos (409 conflict, 404 not found)
+function storageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Create a repository backed by a local JSON file
+ * Documents are keyed by partition key value and id, like a Cosmos container
+ * @param {string} filePath - JSON file holding the collection
+ * @param {string} partitionKey - Document field used as partition key
+ * @returns {Object} Repository
+ */
+function createLocalRepository(filePath, partitionKey) {
+  let documents = null; // key -> document
+  const writeCollection = createAtomicWriter(filePath);
+
+  const keyOf = (id, partitionValue) => JSON.stringify([partitionValue === undefined ? null : partitionValue, id]);
+  const keyOfDocument = (document) => keyOf(document.id, document[partitionKey]);
+
+  function load() {
+    if (documents) return documents;
+    documents = new Map();
+
+    if (fs.existsSync(filePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        stored.forEach(document => documents.set(keyOfDocument(document), document));
+      } catch (err) {
+        console.error(`[LocalStorage] Failed to read ${filePath}:`, err.message);
+      }
+    }
+    return documents;
+  }
+
+  // Write the whole collection atomically (temp file + rename), one write at a time
+  function persist() {
+    return writeCollection(JSON.stringify(Array.from(load().values()), null, 2));
+  }
+
+  function validateDocument(document) {
+    if (!document || typeof document.id !== 'string' || !document.id) {
+      throw storageError(400, 'Document must have a string "id"');
+    }
+  }
+
+  // Filtered and sorted copy of the collection
+  function select(filters, sort) {
+    assertFilters(filters);
+    const results = Array.from(load().values()).filter(document => matchesFilters(document, filters));
+    if (sort) {
+      assertFieldName(sort.field);
+      const direction = sort.order === 'asc' ? 1 : -1;
+      results.sort((a, b) => direction * compareValues(a[sort.field], b[sort.field]));
+    }
+    return results;
+  }
+
+  return {
+    backend: 'local',
+
+    async create(document) {
+      validateDocument(document);
+      const key = keyOfDocument(document);
+      if (load().has(key)) {
+        throw storageError(409, `Document ${document.id} already exists`);
+      }
+      const stored = JSON.parse(JSON.stringify(document));
+      documents.set(key, stored);
+      await persist();
+      return stored;
+    },
+
+    async upsert(document) {
+      validateDocument(document);
+      const stored = JSON.parse(JSON.stringify(document));
+      load().set(keyOfDocument(stored), stored);
+      await persist();
+      return stored;
+    },
+
+    async read(id, partitionValue) {
+      return load().get(keyOf(id, partitionValue)) || null;
+    },
+
+    async delete(id, partitionValue) {
+      if (!load().delete(keyOf(id, partitionValue))) {
+        throw storageError(404, `Document ${id} not found`);
+      }
+      await persist();
+    },
+
+    async query({ filters, sort, offset = 0, limit = 10 } = {}) {
+      return select(filters, sort).slice(offset, offset + limit);
+    },
+
+    // The continuation is the offset of the next page
+    async queryPage({ filters, sort, limit = 10, continuation } = {}) {
+      const offset = continuation ? parseInt(continuation, 10) : 0;
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw storageError(400, 'Invalid continuation token');
+      }
+      const results = select(filters, sort);
+      const end = offset + limit;
+      return {
+        items: results.slice(offset, end),
+        continuation: end < results.length ? String(end) : null,
+      };
+    },
+
+    async count(filters) {
+      return select(filters).length;
+    },
+  };
+}
+
+module.exports = {
+  createLocalRepository,
+};
@@ -0,0 +1,108 @@
+const { classifyText } = require('./brandClassifier');
+
+// Builds the documents stored in the processed container
+// Shared by the live queue and the re-classification job so both write the same shape
+
+// Fields that change on every classification run, ignored when checking whether a stored document is up to date
+const VOLATILE_FIELDS = ['classifiedAt'];
+
+/**
+ * Build a processed document from a raw KWatch item and its classification
+ * @param {Object} item - Raw KWatch document
+ * @param {Object} classification - Primary label { topic, subTopic, queryName, internalId, queryText, spans, highlights, querySetVersion }
+ * @param {Array<Object>} labels - Every matched label (defaults to the primary one)
+ * @param {string} resolutionStrategy - Strategy that picked the primary label
+ * @returns {Object} Processed document
+ */
+function buildProcessedDocument(item, classification, labels = [classification], resolutionStrategy = null) {
+  return {
+    id: item.id,
+    platform: item.platform,
+    query: item.query, // Original KWatch query
+    datetime: item.datetime,
+    publishedAt: item.publishedAt,
+    publishedAtValid: item.publishedAtValid,
+    link: item.link,
+    author: item.author,
+    title: item.title || '',
+    content: item.content,
+    sentiment: item.sentiment,
+    receivedAt: item.receivedAt,
+    // Enrichment fields
+    canonicalLink: item.canonicalLink,
+    domain: item.domain,
+    subreddit: item.subreddit,
+    postId: item.postId,
+    handle: item.handle,
+    hashtags: item.hashtags,
+    mentions: item.mentions,
+    urls: item.urls,
+    // Brand classification results
+    topic: classification.topic,
+    subTopic: classification.subTopic,
+    queryName: classification.queryName,
+    internalId: classification.internalId,
+    // Provenance: when and by which query (and query set version) the labels were produced
+    classifiedAt: new Date().toISOString(),
+    querySetVersion: classification.querySetVersion,
+    matchedQuery: classification.queryText,
+    matchedSpans: classification.spans,
+    matchedHighlights: classification.highlights, // Character ranges into `${title} ${content}`
+    // All matched queries, primary first, ranked by the resolution strategy
+    labels: labels.map(label => ({
+      topic: label.topic,
+      subTopic: label.subTopic,
+      queryName: label.queryName,
+      internalId: label.internalId,
+      priority: label.priority,
+      weight: label.weight,
+      spans: label.spans,
+      highlights: label.highlights,
+    })),
+    resolutionStrategy,
+  };
+}
+
+/**
+ * Whether a stored processed document already matches a freshly built one
+ * @param {Object} existing - Stored document
+ * @param {Object} document - Document from buildProcessedDocument
+ * @returns {boolean} True if every non-volatile field is equal
+ */
+function isSameProcessedDocument(existing, document) {
+  return Object.keys(document)
+    .filter(key => !VOLATILE_FIELDS.includes(key))
+    .every(key => JSON.stringify(existing[key]) === JSON.stringify(document[key]));
+}
+
+/**
+ * Classify a raw KWatch item against the loaded brand queries
+ * @param {Object} item - Raw KWatch document
+ * @returns {Object} { matched, classification, labels, document } - document is null when nothing matched
+ */
+function classifyKWatchItem(item) {
+  // Classified as title + content; the other fields are there for field-scoped queries
+  const result = classifyText({
+    title: item.title,
+    content: item.content,
+    author: item.author,
+    platform: item.platform,
+    link: item.link,
+  });
+
+  if (!result.matched) {
+    return { matched: false, classification: null, labels: [], document: null };
+  }
+  return {
+    matched: true,
+    classification: result.classification,
+    labels: result.labels,
+    document: buildProcessedDocument(item, result.classification, result.labels, result.resolution.strategy),
+  };
+}
+
+module.exports = {
+  buildProcessedDocument,
+  classifyKWatchItem,
+  isSameProcessedDocument,
+};
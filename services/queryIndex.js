@@ -0,0 +1,154 @@
+const { TEXT_SCOPES } = require('../utils/parser');
+
+// Inverted index over the brand queries, used to skip queries that cannot match a text
+// For every query we derive a set of "anchors" (terms, phrase heads, wildcard and pattern prefixes), at
+// least one of which must appear in a text for the query to match. Queries without such a
+// set (e.g. NOT-only queries) are always evaluated. The index only narrows the candidates:
+// every candidate is still fully evaluated, so results are the same as evaluating all queries.
+
+// Terms match their @ and # forms too, so anchors and text tokens are compared without them
+function stripMarker(token) {
+  return token.replace(/^[@#]/, '');
+}
+
+// Prefix anchor for a word pattern: its literal start before the first * or ?
+function patternAnchors(pattern) {
+  const value = stripMarker(pattern.split(/[*?]/)[0]);
+  return value ? [{ kind: 'prefix', value }] : null;
+}
+
+/**
+ * Anchors one of which a text must contain for the node to match
+ * @param {Object} node - Parsed query AST
+ * @returns {Array<Object>|null} [{ kind: 'term' | 'prefix', value }], [] if the node can never match,
+ * null if no anchor is required
+ */
+function requiredAnchors(node) {
+  if (!node) return null;
+  switch (node.type) {
+    case 'TERM': {
+      const value = stripMarker(node.value);
+      return value ? [{ kind: 'term', value }] : null;
+    }
+    case 'WILDCARD': {
+      const value = stripMarker(node.prefix);
+      return value ? [{ kind: 'prefix', value }] : null;
+    }
+    case 'PHRASE':
+    case 'EXACT': {
+      // An empty phrase never matches
+      if (node.tokens.length === 0) return [];
+      if (node.patterns && node.patterns[0]) return patternAnchors(node.tokens[0]);
+      const value = stripMarker(node.tokens[0]);
+      return value ? [{ kind: 'term', value }] : null;
+    }
+    case 'PATTERN':
+      return patternAnchors(node.pattern);
+    case 'REGEX':
+    case 'NOT':
+      return null;
+    case 'NOT_NEAR':
+      // Only the left side has to match
+      return requiredAnchors(node.left);
+    case 'SCOPE':
+      // title: and content: match words of the text; other fields are not in the index
+      return TEXT_SCOPES.includes(node.field) ? requiredAnchors(node.child) : null;
+    case 'AND':
+    case 'NEAR': {
+      // Both sides must match, so either side's anchors will do; keep the smaller set
+      const left = requiredAnchors(node.left);
+      const right = requiredAnchors(node.right);
+      if (!left) return right;
+      if (!right) return left;
+      return left.length <= right.length ? left : right;
+    }
+    case 'OR': {
+      const left = requiredAnchors(node.left);
+      const right = requiredAnchors(node.right);
+      return left && right ? [...left, ...right] : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function addToIndex(map, key, position) {
+  if (!map.has(key)) map.set(key, []);
+  const positions = map.get(key);
+  if (positions[positions.length - 1] !== position) positions.push(position);
+}
+
+/**
+ * Build the index for a list of parsed queries
+ * @param {Array<Object>} asts - Query ASTs, in evaluation order
+ * @returns {Object} Index for findCandidates
+ */
+function buildQueryIndex(asts) {
+  const terms = new Map();
+  const prefixes = new Map();
+  const always = [];
+  const prefixLengths = new Set();
+
+  asts.forEach((ast, position) => {
+    const anchors = requiredAnchors(ast);
+    if (!anchors) {
+      always.push(position);
+      return;
+    }
+    anchors.forEach(({ kind, value }) => {
+      if (kind === 'term') {
+        addToIndex(terms, value, position);
+      } else {
+        addToIndex(prefixes, value, position);
+        prefixLengths.add(value.length);
+      }
+    });
+  });
+
+  return {
+    size: asts.length,
+    terms,
+    prefixes,
+    prefixLengths: [...prefixLengths].sort((a, b) => a - b),
+    always,
+  };
+}
+
+/**
+ * Positions of the queries that may match the tokens, in evaluation order
+ * @param {Object} index - From buildQueryIndex
+ * @param {Array<string>} tokens - Tokenized text
+ * @returns {Array<number>} Query positions
+ */
+function findCandidates(index, tokens) {
+  const selected = new Uint8Array(index.size);
+  index.always.forEach(position => { selected[position] = 1; });
+
+  const seen = new Set();
+  tokens.forEach(token => {
+    const word = stripMarker(token);
+    if (seen.has(word)) return;
+    seen.add(word);
+
+    const termMatches = index.terms.get(word);
+    if (termMatches) termMatches.forEach(position => { selected[position] = 1; });
+
+    for (const length of index.prefixLengths) {
+      if (length > word.length) break;
+      const prefixMatches = index.prefixes.get(word.slice(0, length));
+      if (prefixMatches) prefixMatches.forEach(position => { selected[position] = 1; });
+    }
+  });
+
+  const candidates = [];
+  selected.forEach((flag, position) => {
+    if (flag) candidates.push(position);
+  });
+  return candidates;
+}
+
+module.exports = {
+  requiredAnchors,
+  buildQueryIndex,
+  findCandidates,
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { rawItems, processedItems } = require('./storage');
+const { classifyKWatchItem, isSameProcessedDocument } = require('./processedDocument');
+const { withRetry, createRetryOptions } = require('../utils/retry');
+const { createAtomicWriter } = require('../utils/atomicFile');
+const { retry: retryConfig, reclassify: reclassifyConfig } = require('../config/kwatch');
+
+// Background job that runs stored raw items through the current brand queries again
+// and brings the processed container in line: new matches are upserted, items that
+// no longer match are removed. One job exists at a time; its state (including the
+// storage continuation token) is saved after every batch so it can be resumed.
+
+// Failed item IDs kept on the job for inspection
+const MAX_RECORDED_FAILURES = 20;
+
+let job = null; // Current or last job
+let activeRun = null; // Promise of the running job
+let stopRequest = null; // 'cancelled' or 'interrupted' once a stop was asked for
+const writeState = createAtomicWriter(reclassifyConfig.statePath);
+const retryOptions = createRetryOptions('ReclassifyJob', retryConfig);
+
+function jobError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Write the job state atomically (temp file + rename), one write at a time
+function saveState() {
+  return writeState(JSON.stringify(job, null, 2));
+}
+
+// Filters and sort selecting the job's raw items
+function buildListing(range) {
+  const filters = [];
+  if (range.from) filters.push({ field: range.field, op: 'gte', value: range.from });
+  if (range.to) filters.push({ field: range.field, op: 'lte', value: range.to });
+  return { filters, sort: { field: range.field, order: 'asc' } };
+}
+
+// Re-classify one raw item; returns 'upserted', 'removed' or 'unchanged'
+async function reclassifyItem(item) {
+  const { document } = classifyKWatchItem(item);
+  const existing = await withRetry(
+    () => processedItems.read(item.id, item.platform),
+    retryOptions(`Processed read of ${item.id}`)
+  );
+
+  if (document) {
+    if (existing && isSameProcessedDocument(existing, document)) return 'unchanged';
+    await withRetry(() => processedItems.upsert(document), retryOptions(`Processed upsert of ${item.id}`));
+    return 'upserted';
+  }
+
+  if (!existing) return 'unchanged';
+  try {
+    await withRetry(() => processedItems.delete(item.id, item.platform), retryOptions(`Processed delete of ${item.id}`));
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+  return 'removed';
+}
+
+async function processPage(items) {
+  const results = await Promise.allSettled(items.map(item => reclassifyItem(item)));
+  const { progress } = job;
+
+  results.forEach((result, idx) => {
+    progress.scanned++;
+    if (result.status === 'fulfilled') {
+      progress[result.value]++;
+      return;
+    }
+    progress.failed++;
+    console.error(`[ReclassifyJob] Failed to re-classify item ${items[idx].id}:`, result.reason.message);
+    job.failures.push({ id: items[idx].id, platform: items[idx].platform, error: result.reason.message });
+    if (job.failures.length > MAX_RECORDED_FAILURES) job.failures.shift();
+  });
+}
+
+// Read and re-classify batch after batch until the range is done or a stop is requested
+async function runJob() {
+  const listing = buildListing(job.range);
+  job.status = 'running';
+  job.error = null;
+  job.finishedAt = null;
+  stopRequest = null;
+
+  try {
+    if (job.progress.total === null) {
+      job.progress.total = await withRetry(() => rawItems.count(listing.filters), retryOptions('Raw count'));
+    }
+    await saveState();
+
+    while (!stopRequest) {
+      const page = await withRetry(
+        () => rawItems.queryPage({ ...listing, limit: reclassifyConfig.batchSize, continuation: job.continuation }),
+        retryOptions('Raw read')
+      );
+      await processPage(page.items);
+
+      job.continuation = page.continuation;
+      job.updatedAt = new Date().toISOString();
+      if (!page.continuation) {
+        job.status = 'completed';
+        break;
+      }
+      await saveState();
+
+      // Let webhooks and the queue run between batches
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    if (stopRequest) job.status = stopRequest;
+  } catch (err) {
+    console.error('[ReclassifyJob] Job failed:', err.message);
+    job.status = 'failed';
+    job.error = err.message;
+  }
+
+  job.finishedAt = new Date().toISOString();
+  job.updatedAt = job.finishedAt;
+  await saveState().catch(err => console.error('[ReclassifyJob] Failed to save job state:', err.message));
+
+  const { progress } = job;
+  console.log(`[ReclassifyJob] Job ${job.id} ${job.status}: ${progress.scanned} scanned, ${progress.upserted} upserted, ${progress.removed} removed, ${progress.unchanged} unchanged, ${progress.failed} failed`);
+}
+
+function launch() {
+  activeRun = runJob().finally(() => {
+    activeRun = null;
+  });
+}
+
+function isRunning() {
+  return activeRun !== null;
+}
+
+/**
+ * Start a re-classification job over raw items in a date range
+ * @param {Object} range - { field: 'receivedAt' | 'publishedAt', from, to } (ISO strings, both optional)
+ * @returns {Object} Job state
+ * @throws {Error} code 'JOB_RUNNING' if a job is already running
+ */
+function startReclassifyJob(range) {
+  if (isRunning()) {
+    throw jobError('JOB_RUNNING', `Job ${job.id} is already running`);
+  }
+
+  const now = new Date().toISOString();
+  job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    range: { field: range.field, from: range.from || null, to: range.to || null },
+    continuation: null,
+    progress: { total: null, scanned: 0, upserted: 0, removed: 0, unchanged: 0, failed: 0 },
+    failures: [],
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+
+  console.log(`[ReclassifyJob] Starting job ${job.id} (${job.range.field} ${job.range.from || '-'} to ${job.range.to || '-'})`);
+  launch();
+  return getReclassifyJob();
+}
+
+/**
+ * Continue a cancelled, interrupted or failed job from its last saved batch
+ * @returns {Object} Job state
+ * @throws {Error} code 'JOB_NOT_FOUND' or 'JOB_NOT_RESUMABLE'
+ */
+function resumeReclassifyJob() {
+  if (!job) {
+    throw jobError('JOB_NOT_FOUND', 'No re-classification job to resume');
+  }
+  if (isRunning() || job.status === 'completed') {
+    throw jobError('JOB_NOT_RESUMABLE', `Job ${job.id} is ${isRunning() ? 'running' : job.status}`);
+  }
+
+  console.log(`[ReclassifyJob] Resuming job ${job.id} after ${job.progress.scanned} item(s)`);
+  launch();
+  return getReclassifyJob();
+}
+
+/**
+ * Ask the running job to stop after its current batch
+ * @param {string} reason - 'cancelled' (default) or 'interrupted' (shutdown)
+ * @returns {Promise<Object>} Job state once it has stopped
+ * @throws {Error} code 'JOB_NOT_RUNNING'
+ */
+async function stopReclassifyJob(reason = 'cancelled') {
+  if (!isRunning()) {
+    throw jobError('JOB_NOT_RUNNING', 'No re-classification job is running');
+  }
+  stopRequest = reason;
+  job.status = reason === 'cancelled' ? 'cancelling' : job.status;
+  await activeRun;
+  return getReclassifyJob();
+}
+
+// Load the last job from disk; a job that was running when the process stopped is marked interrupted
+function restoreReclassifyJob() {
+  if (!fs.existsSync(reclassifyConfig.statePath)) return null;
+
+  try {
+    job = JSON.parse(fs.readFileSync(reclassifyConfig.statePath, 'utf-8'));
+  } catch (err) {
+    console.error(`[ReclassifyJob] Failed to read ${reclassifyConfig.statePath}:`, err.message);
+    return null;
+  }
+
+  if (job.status === 'running' || job.status === 'cancelling') {
+    job.status = job.status === 'running' ? 'interrupted' : 'cancelled';
+    console.warn(`[ReclassifyJob] Job ${job.id} was stopped by a restart after ${job.progress.scanned} item(s); resume it with POST /api/jobs/reclassify/resume`);
+  }
+  return getReclassifyJob();
+}
+
+// Current or last job, or null
+function getReclassifyJob() {
+  if (!job) return null;
+  const { continuation, ...state } = job;
+  const { total, scanned } = job.progress;
+  return {
+    ...state,
+    resumable: !isRunning() && job.status !== 'completed',
+    percent: total ? Math.min(100, Math.round((scanned / total) * 1000) / 10) : (job.status === 'completed' ? 100 : 0),
+  };
+}
+
+module.exports = {
+  startReclassifyJob,
+  resumeReclassifyJob,
+  stopReclassifyJob,
+  restoreReclassifyJob,
+  getReclassifyJob,
+};
@@ -0,0 +1,61 @@
+const path = require('path');
+const storageConfig = require('../config/database');
+const { createCosmosRepository } = require('./cosmosRepository');
+const { createLocalRepository } = require('./localRepository');
+
+/*
+ * Storage repositories for raw KWatch items, processed KWatch items, brand queries and test items.
+ * Routes and services only use these; the backend is picked by STORAGE_BACKEND.
+ *
+ * Every repository has the same async interface:
+ *   create(doc)                    -> stored doc, rejects with code 409 if the id exists
+ *   upsert(doc)                    -> stored doc
+ *   read(id, partitionKey)         -> doc or null
+ *   delete(id, partitionKey)       -> rejects with code 404 if missing
+ *   query({ filters, sort, offset, limit }) -> array of docs
+ *   queryPage({ filters, sort, limit, continuation }) -> { items, continuation }; continuation is
+ *                                  null on the last page, otherwise passed back to get the next page
+ *   count(filters)                 -> number of matching docs
+ *
+ * filters is a filter spec (utils/filterSpec.js), sort is { field, order: 'asc'|'desc' }.
+ */
+
+function buildRepositories() {
+  if (storageConfig.backend === 'cosmos') {
+    const { cosmos } = storageConfig;
+    return {
+      rawItems: createCosmosRepository(cosmos, cosmos.kwatchDatabase, cosmos.kwatchContainer),
+      processedItems: createCosmosRepository(cosmos, cosmos.kwatchDatabase, cosmos.kwatchProcessedContainer),
+      brandQueries: createCosmosRepository(cosmos, cosmos.kwatchDatabase, cosmos.kwatchQueriesContainer),
+      testItems: createCosmosRepository(cosmos, cosmos.database, cosmos.container),
+    };
+  }
+
+  if (storageConfig.backend === 'local') {
+    const { dir } = storageConfig.local;
+    return {
+      rawItems: createLocalRepository(path.join(dir, 'kwatch-raw.json'), 'platform'),
+      processedItems: createLocalRepository(path.join(dir, 'kwatch-processed.json'), 'platform'),
+      brandQueries: createLocalRepository(path.join(dir, 'brand-queries.json'), 'id'),
+      testItems: createLocalRepository(path.join(dir, 'test-items.json'), 'category'),
+    };
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${storageConfig.backend}" (expected "cosmos" or "local")`);
+}
+
+const repositories = buildRepositories();
+
+// Get storage status
+function getStorageStatus() {
+  return {
+    backend: storageConfig.backend,
+    location: storageConfig.backend === 'local' ? storageConfig.local.dir : storageConfig.cosmos.endpoint,
+    fallback: storageConfig.backendFallback,
+  };
+}
+
+module.exports = {
+  ...repositories,
+  getStorageStatus,
+};
@@ -0,0 +1,315 @@
+/**
+ * Brand Classifier Benchmark
+ * Measures classification throughput of a linear scan over all queries against the inverted-index prefilter
+ *
+ * - Linear scan, baseline parser: every query is evaluated with evaluateRule of the parser from before
+ *   the prefilter and the query language changes (test/fixtures/parser-baseline.js)
+ * - Linear scan: every query is evaluated with evaluateRule, which tokenizes the text each time
+ *   (how classifyText worked before the prefilter)
+ * - Linear scan, tokenized once: every query is evaluated on one prepared document
+ * - Prefilter: classifyText, which tokenizes once and only evaluates candidate queries
+ * All of them must produce the same matches (query ID and spans) for every text; any difference is
+ * reported per query and text and fails the run. Texts the baseline parser splits into different
+ * words (non-Latin scripts, ß) are only compared between the current scans and counted on their own.
+ * Tokenization throughput is reported on its own.
+ *
+ * Another parser version can be used as the baseline with --baseline-parser:
+ *   git show <commit>:utils/parser.js > /tmp/parser-baseline.js
+ *
+ * Texts come from test/HistoricData.csv (title + Mention Content) when it exists,
+ * otherwise synthetic posts are generated from the query vocabulary.
+ *
+ * Usage:
+ *   node benchmark-classifier.js                 # 200 texts
+ *   node benchmark-classifier.js --sample 2000   # 2000 texts
+ *   node benchmark-classifier.js --rounds 3      # Repeat each measurement, keep the best
+ *   node benchmark-classifier.js --baseline-parser /tmp/parser-baseline.js   # Compare with another version
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseRule, evaluateRule, prepareDocument, evaluateDocument, tokenizeWithOffsets } = require('../utils/parser');
+const { initializeBrandClassifier, classifyText } = require('../services/brandClassifier');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const CONFIG = {
+  sampleSize: 200,
+  rounds: 1,
+  baselineParser: path.join(__dirname, 'fixtures/parser-baseline.js'),
+};
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--sample' && args[i + 1]) {
+    CONFIG.sampleSize = parseInt(args[i + 1], 10) || CONFIG.sampleSize;
+    i++;
+  } else if (args[i] === '--rounds' && args[i + 1]) {
+    CONFIG.rounds = parseInt(args[i + 1], 10) || CONFIG.rounds;
+    i++;
+  } else if (args[i] === '--baseline-parser' && args[i + 1]) {
+    CONFIG.baselineParser = path.resolve(args[i + 1]);
+    i++;
+  }
+}
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+// CSV Parser - handles multi-line quoted fields
+function parseCSV(content) {
+  const rows = [];
+  let headers = null;
+  let row = [];
+  let current = '';
+  let inQuotes = false;
+
+  const pushRow = () => {
+    row.push(current);
+    current = '';
+    if (row.length > 1 || row[0] !== '') {
+      if (!headers) {
+        headers = row.map(h => h.trim());
+      } else {
+        const record = {};
+        headers.forEach((header, idx) => {
+          record[header] = row[idx] || '';
+        });
+        rows.push(record);
+      }
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(current);
+      current = '';
+    } else if (char === '\n') {
+      pushRow();
+    } else if (char !== '\r') {
+      current += char;
+    }
+  }
+  if (current.length > 0 || row.length > 0) pushRow();
+  return rows;
+}
+
+// Deterministic pseudo-random numbers so runs are comparable
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Words the queries look for (excluded NOT terms are skipped), so synthetic posts hit them now and then
+function collectVocabulary(node, words) {
+  if (!node || node.type === 'NOT') return;
+  if (node.type === 'TERM') words.push(node.value);
+  if (node.type === 'WILDCARD' && node.prefix) words.push(`${node.prefix}s`);
+  if (node.type === 'PHRASE') words.push(node.tokens.join(' '));
+  collectVocabulary(node.left, words);
+  collectVocabulary(node.right, words);
+}
+
+const FILLER = (
+  'the a patient surgery today doctor hospital recovery knee hip great news thanks team after week ' +
+  'our new study results shows shared with my family finally home post op day pain better walking'
+).split(' ');
+
+function generateTexts(asts, count) {
+  const random = createRandom(42);
+  const vocabulary = [];
+  asts.forEach(ast => collectVocabulary(ast, vocabulary));
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  const texts = [];
+  for (let i = 0; i < count; i++) {
+    const words = [];
+    const length = 20 + Math.floor(random() * 60);
+    for (let j = 0; j < length; j++) {
+      words.push(random() < 0.05 ? pick(vocabulary) : pick(FILLER));
+    }
+    texts.push(words.join(' '));
+  }
+  return texts;
+}
+
+function loadTexts(asts) {
+  const filePath = path.join(__dirname, 'HistoricData.csv');
+  if (fs.existsSync(filePath)) {
+    const rows = parseCSV(fs.readFileSync(filePath, 'utf-8'))
+      .filter(row => row['Mention Content'] && row['Mention Content'] !== 'Deleted or protected mention')
+      .slice(0, CONFIG.sampleSize);
+    return { source: 'HistoricData.csv', texts: rows.map(row => `${row.title || ''} ${row['Mention Content']}`) };
+  }
+  return { source: 'synthetic posts', texts: generateTexts(asts, CONFIG.sampleSize) };
+}
+
+// Matches of one text as comparable keys: query ID and token spans
+function linearScanMatches(queries, text) {
+  const keys = [];
+  queries.forEach(query => {
+    const result = evaluateRule(query.ast, text);
+    if (result.matched) keys.push(`${query.id}|${JSON.stringify(result.spans)}`);
+  });
+  return keys;
+}
+
+function preparedScanMatches(queries, text) {
+  const doc = prepareDocument(text);
+  const keys = [];
+  queries.forEach(query => {
+    const result = evaluateDocument(query.ast, doc);
+    if (result.matched) keys.push(`${query.id}|${JSON.stringify(result.spans)}`);
+  });
+  return keys;
+}
+
+// Linear scan with the baseline parser module
+function baselineParserScan(parser, baselineQueries, text) {
+  const keys = [];
+  baselineQueries.forEach(query => {
+    const result = parser.evaluateRule(query.ast, text);
+    if (result.matched) keys.push(`${query.id}|${JSON.stringify(result.spans)}`);
+  });
+  return keys;
+}
+
+function prefilterMatches(text) {
+  const result = classifyText(text, { mode: 'multi', strategy: 'order' });
+  return result.labels.map(label => `${label.internalId}|${JSON.stringify(label.spans.map(s => [s.start, s.end]))}`);
+}
+
+// Run fn over all texts; returns the best time in ms and the last results
+function measure(texts, fn) {
+  let best = Infinity;
+  let results = null;
+  for (let round = 0; round < CONFIG.rounds; round++) {
+    const start = process.hrtime.bigint();
+    results = texts.map(fn);
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    best = Math.min(best, elapsed);
+  }
+  return { ms: best, results };
+}
+
+// Compare two result lists per text and query; prints the first differences and returns how many
+// texts differ. Texts for which compare(idx) is false are skipped.
+function countDifferences(texts, expectedResults, actualResults, expectedLabel, label, compare = () => true) {
+  let mismatches = 0;
+  texts.forEach((text, idx) => {
+    if (!compare(idx)) return;
+    const expected = new Set(expectedResults[idx]);
+    const actual = new Set(actualResults[idx]);
+    const missing = [...expected].filter(key => !actual.has(key));
+    const extra = [...actual].filter(key => !expected.has(key));
+    if (missing.length === 0 && extra.length === 0) return;
+    mismatches++;
+    if (mismatches <= 5) {
+      console.log(`${colors.red}✗ ${label}: different matches for text ${idx}:${colors.reset} ${text.slice(0, 100)}`);
+      if (missing.length > 0) console.log(`${colors.dim}  only in ${expectedLabel}: ${missing.join(', ')}${colors.reset}`);
+      if (extra.length > 0) console.log(`${colors.dim}  only in ${label}: ${extra.join(', ')}${colors.reset}`);
+    }
+  });
+  return mismatches;
+}
+
+function runBenchmark() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Brand Classifier Benchmark${colors.reset}`);
+  console.log('═'.repeat(80));
+
+  // Same queries for every run: the classifier's own load, plus a plain parse for the linear scans
+  const init = initializeBrandClassifier();
+  if (!init.success) {
+    console.error(`${colors.red}Error: classifier failed to initialize: ${init.error}${colors.reset}`);
+    process.exit(1);
+  }
+
+  const queries = [];
+  parseCSV(fs.readFileSync(path.join(__dirname, '../config/BrandQueries.csv'), 'utf-8')).forEach(row => {
+    try {
+      const ast = parseRule(row.Query);
+      if (ast) queries.push({ id: row['Internal ID'], queryText: row.Query, ast });
+    } catch (err) {
+      // Skipped by the classifier as well
+    }
+  });
+
+  const { source, texts } = loadTexts(queries.map(q => q.ast));
+  console.log(`\nQueries: ${queries.length} (classifier: ${init.queryCount})`);
+  console.log(`Texts:   ${texts.length} ${source}, ${CONFIG.rounds} round(s)\n`);
+
+  const tokenize = measure(texts, text => tokenizeWithOffsets(text).length);
+  const scan = measure(texts, text => linearScanMatches(queries, text));
+  const prepared = measure(texts, text => preparedScanMatches(queries, text));
+  const prefilter = measure(texts, prefilterMatches);
+
+  // The baseline parser reads every shipped query; one it cannot parse is a difference too
+  const baseline = require(CONFIG.baselineParser);
+  const baselineQueries = [];
+  let unparsed = 0;
+  queries.forEach(query => {
+    try {
+      baselineQueries.push({ id: query.id, ast: baseline.parseRule(query.queryText) });
+    } catch (err) {
+      unparsed++;
+      console.log(`${colors.red}✗ baseline parser: ${query.id} does not parse:${colors.reset} ${err.message}`);
+    }
+  });
+  const old = measure(texts, text => baselineParserScan(baseline, baselineQueries, text));
+  // Spans are word positions, so they are only comparable when both parsers split the text the same way
+  const sameWords = texts.map(text => JSON.stringify(baseline._internals.tokenizeArticle(text))
+    === JSON.stringify(tokenizeWithOffsets(text).map(t => t.token)));
+
+  const mismatches = unparsed
+    + countDifferences(texts, old.results, scan.results, 'baseline parser', 'linear scan', idx => sameWords[idx])
+    + countDifferences(texts, scan.results, prepared.results, 'linear scan', 'tokenized once')
+    + countDifferences(texts, scan.results, prefilter.results, 'linear scan', 'prefilter');
+  const matchedTexts = scan.results.filter(keys => keys.length > 0).length;
+
+  const throughput = ms => (texts.length / (ms / 1000)).toFixed(1);
+  const line = (label, ms) => console.log(`  ${label.padEnd(36)} ${ms.toFixed(1).padStart(9)} ms, ${throughput(ms)} texts/s`);
+  line('Tokenization only', tokenize.ms);
+  line('Linear scan, baseline parser', old.ms);
+  line('Linear scan (evaluateRule per query)', scan.ms);
+  line('Linear scan, tokenized once', prepared.ms);
+  line('Prefilter (classifyText)', prefilter.ms);
+  console.log(`  ${colors.bold}Prefilter speedup over linear scan: ${(scan.ms / prefilter.ms).toFixed(1)}x${colors.reset}`
+    + ` (${(prepared.ms / prefilter.ms).toFixed(1)}x over the scan tokenized once)`);
+  console.log(`  Texts with a match: ${matchedTexts}`);
+  const differentWords = sameWords.filter(same => !same).length;
+  if (differentWords > 0) {
+    console.log(`  ${colors.dim}Texts split into different words by the baseline parser (not compared with it): ${differentWords}${colors.reset}`);
+  }
+
+  console.log('\n' + '═'.repeat(80));
+  if (mismatches > 0) {
+    console.log(`${colors.red}${colors.bold} RESULTS DIFFER ${colors.reset} ${mismatches} text(s)`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} RESULTS IDENTICAL ${colors.reset} ${texts.length} text(s)`);
+}
+
+runBenchmark();
@@ -0,0 +1,153 @@
+/**
+ * Bulk NDJSON Test Script
+ * Streams signed NDJSON bodies to the bulk endpoint on a local Express app and checks the
+ * per-line results, including lines over the byte limit. Storage and the queue journal go
+ * to a temporary directory; the queue processor is not started.
+ *
+ * Usage:
+ *   node test-bulk-ndjson.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Limits, secrets and paths are read when the config is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kwatch-bulk-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(tempDir, 'store');
+process.env.KWATCH_JOURNAL_PATH = path.join(tempDir, 'kwatch-journal.ndjson');
+process.env.KWATCH_WEBHOOK_SECRETS = 'default:s3cret';
+process.env.KWATCH_BULK_MAX_LINE_BYTES = '300';
+process.env.KWATCH_BULK_MAX_RECORDS = '5';
+
+const express = require('express');
+const webhookRoutes = require('../routes/webhook');
+const { computeSignature } = require('../middleware/webhookAuth');
+const { closeJournal } = require('../services/kwatchJournal');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+// The webhook routes as server.js mounts them
+function createApp() {
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/webhook', webhookRoutes);
+  return app;
+}
+
+function payload(n, extra = {}) {
+  return {
+    platform: 'reddit',
+    query: 'stryker',
+    datetime: '11 Dec 24 10:30 UTC',
+    link: `https://www.reddit.com/r/Orthopedics/comments/bulk${n}/`,
+    author: 'someone',
+    content: `Stryker knee post ${n}`,
+    ...extra,
+  };
+}
+
+async function runBulkNdjsonTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Bulk NDJSON Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  const server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/webhook/kwatch/bulk`;
+
+  // Send a signed NDJSON body; a wrong secret makes the signature fail
+  async function postBody(body, { secret = 's3cret' } = {}) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/x-ndjson',
+        'x-kwatch-timestamp': timestamp,
+        'x-kwatch-signature': `sha256=${computeSignature(secret, timestamp, Buffer.from(body))}`,
+      },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const postLines = (lines, options) => postBody(lines.join('\n') + '\n', options);
+  const outcomes = body => body.results.map(r => [r.index, r.status, r.reason]);
+
+  try {
+    await check('each line is a record, blank lines are skipped', async () => {
+      const { status, body } = await postLines([JSON.stringify(payload(1)), '', 'not json', JSON.stringify(payload(2))]);
+      assertEqual(status, 200, 'status');
+      assertEqual(outcomes(body), [[0, 'queued', undefined], [1, 'rejected', 'invalid_json'], [2, 'queued', undefined]], 'results');
+    });
+
+    await check('a line over the byte limit is rejected on its own, the next lines still count', async () => {
+      const long = JSON.stringify(payload(3, { content: 'x'.repeat(1000) }));
+      const { status, body } = await postLines([long, JSON.stringify(payload(4)), 'y'.repeat(5000)]);
+      assertEqual(status, 200, 'status');
+      assertEqual(outcomes(body),
+        [[0, 'rejected', 'line_too_long'], [1, 'queued', undefined], [2, 'rejected', 'line_too_long']], 'results');
+      assertEqual([body.queued, body.rejected], [1, 2], 'summary');
+    });
+
+    await check('a long last line without a newline and CRLF line endings', async () => {
+      const { body } = await postBody(`${JSON.stringify(payload(5))}\r\n${'z'.repeat(400)}`);
+      assertEqual(outcomes(body), [[0, 'queued', undefined], [1, 'rejected', 'line_too_long']], 'results');
+    });
+
+    await check('the signature still covers skipped bytes', async () => {
+      const lines = [`"${'y'.repeat(1000)}"`, JSON.stringify(payload(6))];
+      assertEqual((await postLines(lines)).status, 200, 'signed');
+      assertEqual((await postLines(lines, { secret: 'wrong' })).status, 403, 'wrong secret');
+    });
+
+    await check('too many records is still a 413', async () => {
+      const lines = [7, 8, 9, 10, 11, 12].map(n => JSON.stringify(payload(n)));
+      assertEqual((await postLines(lines)).status, 413, 'status');
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await closeJournal();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runBulkNdjsonTests();
@@ -0,0 +1,124 @@
+/**
+ * Cosmos SQL Test Script
+ * Checks the SQL text the Cosmos repository builds from filter specs and sort options,
+ * without a Cosmos account, and that the local backend matches array fields the same way
+ *
+ * Usage:
+ *   node test-cosmos-sql.js
+ */
+
+const { _internals: { buildWhere, buildOrderBy } } = require('../services/cosmosRepository');
+const { matchesFilters } = require('../utils/filterSpec');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+function expectThrows(fn, message) {
+  try {
+    fn();
+  } catch (err) {
+    if (!err.message.includes(message)) throw new Error(`Expected "${message}" in "${err.message}"`);
+    return;
+  }
+  throw new Error('did not throw');
+}
+
+function runSqlTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Cosmos SQL Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  check('ORDER BY quotes the property, so keywords like "order" are allowed', () => {
+    assertEqual(buildOrderBy({ field: 'order', order: 'asc' }), ' ORDER BY c["order"] ASC', 'order by');
+    assertEqual(buildOrderBy({ field: 'processedAt', order: 'desc' }), ' ORDER BY c["processedAt"] DESC', 'order by');
+    assertEqual(buildOrderBy(undefined), '', 'no sort');
+  });
+
+  check('conditions use quoted properties and parameters', () => {
+    const { where, parameters } = buildWhere([
+      { field: 'value', op: 'eq', value: 3 },
+      { field: 'topic', op: 'eqi', value: 'Stryker' },
+      { any: [{ field: 'title', op: 'contains', value: 'knee' }, { field: 'order', op: 'gte', value: 2 }] },
+    ]);
+    assertEqual(where,
+      ' WHERE c["value"] = @p0 AND STRINGEQUALS(c["topic"], @p1, true)'
+      + ' AND (CONTAINS(c["title"], @p2, true) OR c["order"] >= @p3)', 'where');
+    assertEqual(parameters.map(p => p.value), [3, 'Stryker', 'knee', 2], 'parameters');
+  });
+
+  check('elementEqi looks into array elements', () => {
+    const { where, parameters } = buildWhere([{ field: 'labels', op: 'elementEqi', key: 'topic', value: 'Competitors' }]);
+    assertEqual(where, ' WHERE EXISTS(SELECT VALUE e FROM e IN c["labels"] WHERE STRINGEQUALS(e["topic"], @p0, true))', 'where');
+    assertEqual(parameters.map(p => p.value), ['Competitors'], 'parameters');
+    expectThrows(() => buildWhere([{ field: 'labels', op: 'elementEqi', key: 'a b', value: 'x' }]), 'Invalid field name');
+  });
+
+  check('elementEqi without key compares the elements of string arrays', () => {
+    const { where, parameters } = buildWhere([
+      { field: 'subreddit', op: 'eqi', value: 'orthopedics' },
+      { any: [{ field: 'hashtags', op: 'elementEqi', value: 'knee' }, { field: 'hashtags', op: 'elementEqi', value: 'hip' }] },
+      { field: 'mentions', op: 'elementEqi', value: 'stryker' },
+    ]);
+    assertEqual(where,
+      ' WHERE STRINGEQUALS(c["subreddit"], @p0, true)'
+      + ' AND (EXISTS(SELECT VALUE e FROM e IN c["hashtags"] WHERE STRINGEQUALS(e, @p1, true))'
+      + ' OR EXISTS(SELECT VALUE e FROM e IN c["hashtags"] WHERE STRINGEQUALS(e, @p2, true)))'
+      + ' AND EXISTS(SELECT VALUE e FROM e IN c["mentions"] WHERE STRINGEQUALS(e, @p3, true))', 'where');
+    assertEqual(parameters.map(p => p.value), ['orthopedics', 'knee', 'hip', 'stryker'], 'parameters');
+  });
+
+  check('local filters match string array elements the same way', () => {
+    const doc = { hashtags: ['knee', 'hip'], mentions: [], labels: [{ topic: 'Beams' }] };
+    assertEqual(matchesFilters(doc, [{ field: 'hashtags', op: 'elementEqi', value: 'KNEE' }]), true, 'hashtag');
+    assertEqual(matchesFilters(doc, [{ field: 'mentions', op: 'elementEqi', value: 'knee' }]), false, 'mention');
+    assertEqual(matchesFilters(doc, [{ field: 'labels', op: 'elementEqi', key: 'topic', value: 'beams' }]), true, 'label');
+    assertEqual(matchesFilters({}, [{ field: 'hashtags', op: 'elementEqi', value: 'knee' }]), false, 'missing');
+  });
+
+  check('no filters, no WHERE', () => {
+    assertEqual(buildWhere([]), { where: '', parameters: [] }, 'empty');
+  });
+
+  check('field names must be plain identifiers', () => {
+    expectThrows(() => buildOrderBy({ field: 'a"] OR 1=1 --', order: 'asc' }), 'Invalid field name');
+    expectThrows(() => buildWhere([{ field: 'a.b', op: 'eq', value: 1 }]), 'Invalid field name');
+  });
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runSqlTests();
@@ -0,0 +1,136 @@
+/**
+ * Webhook Dedup Test Script
+ * Checks the content-based KWatch IDs and the suppression of repeated deliveries
+ * within the dedup window, without storage (the queue journal goes to a temporary directory)
+ *
+ * Usage:
+ *   node test-dedup.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dedup window, size cap and journal path are read when the config is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kwatch-dedup-'));
+process.env.KWATCH_JOURNAL_PATH = path.join(tempDir, 'kwatch-journal.ndjson');
+process.env.KWATCH_DEDUP_WINDOW_SECONDS = '60';
+process.env.KWATCH_DEDUP_MAX_ENTRIES = '3';
+
+const { isRecentDuplicate, markSeen, forgetSeen, getDedupStatus } = require('../services/kwatchDedup');
+const { generateKWatchId, enqueueIfNew, getQueueStatus } = require('../services/kwatchQueue');
+const { closeJournal } = require('../services/kwatchJournal');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+const payload = {
+  platform: 'Reddit',
+  link: 'https://www.reddit.com/r/Orthopedics/comments/abc123/new_knee/?utm_source=share',
+  content: 'New  knee implant\nfrom Stryker',
+};
+
+async function runDedupTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Webhook Dedup Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  try {
+    await check('the same notification always gets the same ID', async () => {
+      const id = generateKWatchId(payload);
+      assertEqual(/^[0-9a-f]{64}$/.test(id), true, 'hex digest');
+      assertEqual(generateKWatchId({ ...payload }), id, 'repeat');
+      // Fields outside platform, link and content do not matter
+      assertEqual(generateKWatchId({ ...payload, author: 'someone', datetime: 'now' }), id, 'other fields');
+    });
+
+    await check('case of the platform, tracking parameters and whitespace do not change the ID', async () => {
+      const id = generateKWatchId(payload);
+      assertEqual(generateKWatchId({
+        platform: ' reddit ',
+        link: 'https://reddit.com/r/Orthopedics/comments/abc123/new_knee/',
+        content: 'New knee implant from Stryker ',
+      }), id, 'variant');
+    });
+
+    await check('different platform, link or content gives a different ID', async () => {
+      const id = generateKWatchId(payload);
+      assertEqual(generateKWatchId({ ...payload, platform: 'x' }) === id, false, 'platform');
+      assertEqual(generateKWatchId({ ...payload, link: 'https://www.reddit.com/r/Orthopedics/comments/xyz789/' }) === id, false, 'link');
+      assertEqual(generateKWatchId({ ...payload, content: 'New hip implant from Stryker' }) === id, false, 'content');
+    });
+
+    await check('a seen ID is a duplicate until it is forgotten', async () => {
+      assertEqual(isRecentDuplicate('one'), false, 'unseen');
+      markSeen('one');
+      assertEqual(isRecentDuplicate('one'), true, 'seen');
+      forgetSeen('one');
+      assertEqual(isRecentDuplicate('one'), false, 'forgotten');
+    });
+
+    await check('IDs older than the window are no longer duplicates', async () => {
+      markSeen('old', Date.now() - 61 * 1000);
+      markSeen('recent', Date.now() - 59 * 1000);
+      assertEqual(isRecentDuplicate('old'), false, 'old');
+      assertEqual(isRecentDuplicate('recent'), true, 'recent');
+    });
+
+    await check('the oldest IDs are dropped beyond the size cap', async () => {
+      ['a', 'b', 'c', 'd'].forEach(id => markSeen(id));
+      assertEqual(isRecentDuplicate('recent'), false, 'dropped');
+      assertEqual(getDedupStatus().tracked, 3, 'tracked');
+      assertEqual(['b', 'c', 'd'].map(isRecentDuplicate), [true, true, true], 'kept');
+    });
+
+    await check('a repeated delivery is reported as duplicate and not queued again', async () => {
+      const document = { id: generateKWatchId(payload), ...payload, receivedAt: new Date().toISOString() };
+      const before = getDedupStatus().duplicatesSuppressed;
+      const first = await enqueueIfNew(document);
+      const second = await enqueueIfNew({ ...document });
+      assertEqual([first.status, second.status], ['queued', 'duplicate'], 'statuses');
+      assertEqual(getQueueStatus().pending, 1, 'queued once');
+      assertEqual(getDedupStatus().duplicatesSuppressed - before, 1, 'counted');
+    });
+  } finally {
+    await closeJournal();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runDedupTests();
@@ -0,0 +1,151 @@
+/**
+ * Queue Journal Test Script
+ * Writes to a journal in a temporary directory and reloads it the way a restart after a
+ * crash does, checking which documents are replayed and how the file is compacted
+ *
+ * Usage:
+ *   node test-journal.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The journal path and compaction threshold are read when the config is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kwatch-journal-'));
+const journalPath = path.join(tempDir, 'kwatch-journal.ndjson');
+process.env.KWATCH_JOURNAL_PATH = journalPath;
+process.env.KWATCH_JOURNAL_COMPACT_THRESHOLD = '3';
+
+const {
+  appendToJournal,
+  acknowledgeJournalEntries,
+  loadJournal,
+  closeJournal,
+  getJournalStatus,
+} = require('../services/kwatchJournal');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+function doc(id) {
+  return { id, platform: 'reddit', title: `Post ${id}` };
+}
+
+// Journal records on disk, as { op, id }
+function readRecords() {
+  return fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean)
+    .map(line => JSON.parse(line))
+    .map(record => ({ op: record.op, id: record.op === 'add' ? record.doc.id : record.id }));
+}
+
+// What a restart sees: the documents loadJournal replays, once its compaction has run
+async function restart() {
+  const replayed = loadJournal();
+  await closeJournal();
+  return replayed.map(d => d.id);
+}
+
+async function runJournalTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Queue Journal Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  try {
+    await check('no journal file: nothing to replay', async () => {
+      assertEqual(await restart(), [], 'replayed');
+    });
+
+    await check('appends are on disk before they resolve, acks are appended', async () => {
+      await appendToJournal(doc('a'));
+      await appendToJournal(doc('b'));
+      await appendToJournal(doc('c'));
+      await acknowledgeJournalEntries(['a']);
+      assertEqual(readRecords(), [
+        { op: 'add', id: 'a' }, { op: 'add', id: 'b' }, { op: 'add', id: 'c' }, { op: 'ack', id: 'a' },
+      ], 'records');
+      assertEqual(getJournalStatus().pending, 2, 'pending');
+    });
+
+    await check('restart after a crash replays the unacknowledged documents', async () => {
+      // No closeJournal: the process died with the file as it is
+      assertEqual(await restart(), ['b', 'c'], 'replayed');
+      assertEqual(readRecords(), [{ op: 'add', id: 'b' }, { op: 'add', id: 'c' }], 'compacted on load');
+    });
+
+    await check('a partial last line from a crash mid-write is skipped', async () => {
+      fs.appendFileSync(journalPath, '{"op":"add","doc":{"id":"d","tit');
+      assertEqual(await restart(), ['b', 'c'], 'replayed');
+      assertEqual(getJournalStatus().pending, 2, 'pending');
+    });
+
+    await check('acks for unknown IDs are ignored', async () => {
+      await acknowledgeJournalEntries(['zzz']);
+      assertEqual(readRecords().length, 2, 'records');
+    });
+
+    await check('journal is truncated once everything is acknowledged', async () => {
+      await acknowledgeJournalEntries(['b', 'c']);
+      assertEqual(fs.readFileSync(journalPath, 'utf-8'), '', 'file');
+      assertEqual(await restart(), [], 'replayed');
+    });
+
+    await check('journal is compacted after the ack threshold', async () => {
+      for (const id of ['e', 'f', 'g', 'h', 'i']) await appendToJournal(doc(id));
+      await acknowledgeJournalEntries(['e']);
+      await acknowledgeJournalEntries(['f']);
+      assertEqual(readRecords().length, 7, 'records before the threshold');
+      await acknowledgeJournalEntries(['g']);
+      assertEqual(readRecords(), [{ op: 'add', id: 'h' }, { op: 'add', id: 'i' }], 'records after compaction');
+      assertEqual(fs.existsSync(`${journalPath}.tmp`), false, 'temporary file removed');
+      assertEqual(await restart(), ['h', 'i'], 'replayed');
+    });
+
+    await check('replayed documents keep their content', async () => {
+      const [replayed] = loadJournal();
+      await closeJournal();
+      assertEqual(replayed, doc('h'), 'document');
+    });
+  } finally {
+    await closeJournal();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runJournalTests();
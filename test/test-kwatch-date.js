@@ -0,0 +1,158 @@
+/**
+ * KWatch Date Test Script
+ * Checks how KWatch datetime strings are read, including the ambiguous and invalid ones
+ *
+ * Usage:
+ *   node test-kwatch-date.js
+ */
+
+const { parseKWatchDate, normalizePublishedAt } = require('../utils/kwatchDate');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+// Each input parses to the ISO timestamp, or to null
+function expectDates(cases) {
+  Object.entries(cases).forEach(([input, expected]) => {
+    const date = parseKWatchDate(input);
+    assertEqual(date ? date.toISOString() : null, expected, `"${input}"`);
+  });
+}
+
+function runDateTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}KWatch Date Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  check('KWatch format and its variants', () => {
+    expectDates({
+      '11 Dec 24 10:30 UTC': '2024-12-11T10:30:00.000Z',
+      '11 December 2024 10:30': '2024-12-11T10:30:00.000Z',
+      'Wed, 11 Dec 2024 10:30:00 +0100': '2024-12-11T09:30:00.000Z',
+      '3rd March 2024 at 9:05 p.m.': '2024-03-03T21:05:00.000Z',
+      'Sept 3 2024': '2024-09-03T00:00:00.000Z',
+      '  11   Dec 24   10:30  ': '2024-12-11T10:30:00.000Z',
+    });
+  });
+
+  check('day-first and month-first give the same date', () => {
+    expectDates({
+      '11 Dec 24 10:30': '2024-12-11T10:30:00.000Z',
+      'Dec 11, 24 10:30': '2024-12-11T10:30:00.000Z',
+      'Dec 11 2024 10:30 PM EST': '2024-12-12T03:30:00.000Z',
+    });
+  });
+
+  check('numeric day/month dates are ambiguous and rejected', () => {
+    // 11/12/2024 is 11 December in Europe and 12 November in the US
+    expectDates({ '11/12/2024': null, '12/11/24 10:30': null, '11.12.2024': null });
+  });
+
+  check('two-digit years are read as 1970-2069', () => {
+    expectDates({
+      '1 Jan 69': '2069-01-01T00:00:00.000Z',
+      '1 Jan 70': '1970-01-01T00:00:00.000Z',
+      '1 Jan 00': '2000-01-01T00:00:00.000Z',
+    });
+  });
+
+  check('12-hour times: 12 am is midnight, 12 pm is noon', () => {
+    expectDates({
+      '1 Jan 24 12:30 am': '2024-01-01T00:30:00.000Z',
+      '1 Jan 24 12:30 pm': '2024-01-01T12:30:00.000Z',
+      '1 Jan 24 13:00 pm': null,
+      '1 Jan 24 0:30 am': null,
+    });
+  });
+
+  check('ambiguous zone names use their most common meaning', () => {
+    expectDates({
+      // India, not Irish Standard Time; US Central, not China
+      '1 Jan 24 10:00 IST': '2024-01-01T04:30:00.000Z',
+      '1 Jan 24 10:00 CST': '2024-01-01T16:00:00.000Z',
+      '1 Jan 24 10:00 BST': '2024-01-01T09:00:00.000Z',
+    });
+  });
+
+  check('numeric offsets and unknown zones', () => {
+    expectDates({
+      '1 Jan 24 10:00 (UTC+5:30)': '2024-01-01T04:30:00.000Z',
+      'March 2nd, 24 10:00 GMT-03:00': '2024-03-02T13:00:00.000Z',
+      '1 Jan 24 10:00 -08': '2024-01-01T18:00:00.000Z',
+      '1 Jan 24 10:00 XYZ': null,
+    });
+  });
+
+  check('ISO 8601 and unix timestamps', () => {
+    expectDates({
+      '2024-12-11T10:30:00Z': '2024-12-11T10:30:00.000Z',
+      '2024-12-11 10:30+01:00': '2024-12-11T09:30:00.000Z',
+      '2024-12-11': '2024-12-11T00:00:00.000Z',
+      '1733913000': '2024-12-11T10:30:00.000Z',
+      '1733913000000': '2024-12-11T10:30:00.000Z',
+    });
+    assertEqual(parseKWatchDate(1733913000).toISOString(), '2024-12-11T10:30:00.000Z', 'number');
+  });
+
+  check('impossible dates and times are rejected, not rolled over', () => {
+    expectDates({
+      '31 Feb 24': null,
+      '29 Feb 23': null,
+      '29 Feb 24': '2024-02-29T00:00:00.000Z',
+      '31 Apr 2024': null,
+      '11 Dec 24 24:00': null,
+      '11 Dec 24 10:60': null,
+      '2024-13-01': null,
+    });
+  });
+
+  check('incomplete or unreadable values', () => {
+    expectDates({ 'May 2024': null, '12:30 am': null, 'yesterday': null, '11 Foo 24': null, '': null });
+    assertEqual([parseKWatchDate(null), parseKWatchDate(undefined)], [null, null], 'missing');
+  });
+
+  check('normalizePublishedAt flags unparseable dates', () => {
+    assertEqual(normalizePublishedAt('11 Dec 24 10:30 UTC'),
+      { publishedAt: '2024-12-11T10:30:00.000Z', publishedAtValid: true }, 'valid');
+    assertEqual(normalizePublishedAt('11/12/2024'), { publishedAt: null, publishedAtValid: false }, 'ambiguous');
+    assertEqual(normalizePublishedAt(undefined), { publishedAt: null, publishedAtValid: false }, 'missing');
+  });
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runDateTests();
@@ -0,0 +1,159 @@
+/**
+ * Label Resolution Test Script
+ * Checks how the primary label is chosen when several brand queries match, per strategy,
+ * both on hand-made candidates and through classifyText on a small query set
+ *
+ * Usage:
+ *   node test-label-resolution.js
+ */
+
+// Topic precedence is read when the config is loaded
+process.env.CLASSIFIER_TOPIC_PRECEDENCE = 'Recalls, Competitors';
+
+const { parseRule } = require('../utils/parser');
+const { countRequiredTerms, rankCandidates } = require('../services/labelResolution');
+const { replaceBrandQueries, classifyText } = require('../services/brandClassifier');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+function section(title) {
+  console.log(`\n${colors.bold}${colors.cyan}${title}${colors.reset}`);
+}
+
+// Candidate as the classifier builds it; spans are [start, end) token ranges
+function candidate(name, { topic = 'Products', spans = [[0, 1]], priority = 0, weight = 1, requiredTerms = 1, order }) {
+  return { name, topic, spans: spans.map(([start, end]) => ({ start, end })), priority, weight, requiredTerms, order };
+}
+
+function winnerOrder(candidates, strategy, precedence) {
+  return rankCandidates(candidates, strategy, precedence).map(c => c.name);
+}
+
+function runLabelResolutionTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Label Resolution Test${colors.reset}`);
+  console.log('═'.repeat(80));
+
+  section('Required terms');
+  check('terms, patterns and phrase words', () => {
+    assertEqual(countRequiredTerms(parseRule('stryker')), 1, 'term');
+    assertEqual(countRequiredTerms(parseRule('stryker* OR /syn.*/')), 1, 'patterns');
+    assertEqual(countRequiredTerms(parseRule('"salvation beam"')), 2, 'phrase');
+    assertEqual(countRequiredTerms(parseRule('case:"T-2 Nail"')), 3, 'exact phrase');
+  });
+  check('AND and NEAR add up, OR takes the cheaper side, NOT adds nothing', () => {
+    assertEqual(countRequiredTerms(parseRule('stryker AND "knee system"')), 3, 'AND');
+    assertEqual(countRequiredTerms(parseRule('mako NEAR/3 robot')), 2, 'NEAR');
+    assertEqual(countRequiredTerms(parseRule('"total knee system" OR mako')), 1, 'OR');
+    assertEqual(countRequiredTerms(parseRule('stryker NOT (jobs AND careers)')), 1, 'NOT');
+    assertEqual(countRequiredTerms(parseRule('stryker NOT NEAR/2 jobs')), 1, 'NOT NEAR');
+    assertEqual(countRequiredTerms(parseRule('title:(stryker AND mako)')), 2, 'scope');
+    assertEqual(countRequiredTerms(null), 0, 'empty');
+  });
+
+  section('Strategies on candidates');
+  const candidates = [
+    candidate('first', { order: 0, spans: [[0, 1]], requiredTerms: 1 }),
+    candidate('weighted', { order: 1, spans: [[2, 3]], weight: 3 }),
+    candidate('urgent', { order: 2, topic: 'Competitors', priority: 5 }),
+    candidate('long', { order: 3, spans: [[4, 8]], requiredTerms: 4 }),
+    candidate('recall', { order: 4, topic: 'Recalls', priority: 1 }),
+  ];
+  check('order: row order', () => {
+    assertEqual(winnerOrder(candidates, 'order'), ['first', 'weighted', 'urgent', 'long', 'recall'], 'ranking');
+  });
+  check('priority: highest Priority, then Weight, then row order', () => {
+    assertEqual(winnerOrder(candidates, 'priority'), ['urgent', 'recall', 'weighted', 'first', 'long'], 'ranking');
+  });
+  check('specificity: matched tokens times Weight, then required terms', () => {
+    assertEqual(winnerOrder(candidates, 'specificity'), ['long', 'weighted', 'first', 'urgent', 'recall'], 'ranking');
+    const tied = [
+      candidate('loose', { order: 0, spans: [[0, 2]], requiredTerms: 1 }),
+      candidate('strict', { order: 1, spans: [[0, 2]], requiredTerms: 2 }),
+    ];
+    assertEqual(winnerOrder(tied, 'specificity'), ['strict', 'loose'], 'tie on tokens');
+  });
+  check('topicPrecedence: listed topics first, then as priority', () => {
+    assertEqual(winnerOrder(candidates, 'topicPrecedence', ['recalls', 'competitors']),
+      ['recall', 'urgent', 'weighted', 'first', 'long'], 'ranking');
+    assertEqual(winnerOrder(candidates, 'topicPrecedence', []),
+      winnerOrder(candidates, 'priority'), 'no precedence');
+  });
+  check('unknown strategy and full ties fall back to row order', () => {
+    assertEqual(winnerOrder(candidates, 'nonsense'), winnerOrder(candidates, 'order'), 'unknown');
+    const same = [candidate('b', { order: 1 }), candidate('a', { order: 0 })];
+    ['order', 'priority', 'specificity', 'topicPrecedence'].forEach(strategy => {
+      assertEqual(winnerOrder(same, strategy, []), ['a', 'b'], strategy);
+    });
+  });
+  check('candidates are not modified', () => {
+    const before = JSON.stringify(candidates);
+    rankCandidates(candidates, 'priority');
+    assertEqual(JSON.stringify(candidates), before, 'candidates');
+  });
+
+  section('Strategies through classifyText');
+  replaceBrandQueries([
+    { topic: 'Products', subTopic: 'Knees', queryName: 'knee', internalId: 'Q1', queryText: 'knee', priority: 0, weight: 1 },
+    { topic: 'Products', subTopic: 'Mako', queryName: 'mako', internalId: 'Q2', queryText: '"mako robotic arm"', priority: 0, weight: 1 },
+    { topic: 'Competitors', subTopic: 'Zimmer', queryName: 'zimmer', internalId: 'Q3', queryText: 'zimmer', priority: 2, weight: 1 },
+    { topic: 'Recalls', subTopic: 'Recall', queryName: 'recall', internalId: 'Q4', queryText: 'recall', priority: 1, weight: 1 },
+  ], 'test');
+  const text = 'Knee surgery with the Mako robotic arm, Zimmer comparison and a recall notice';
+  const primary = strategy => classifyText(text, { mode: 'multi', strategy }).classification.internalId;
+  check('each strategy picks its own primary label', () => {
+    assertEqual(primary('order'), 'Q1', 'order');
+    assertEqual(primary('priority'), 'Q3', 'priority');
+    assertEqual(primary('specificity'), 'Q2', 'specificity');
+    assertEqual(primary('topicPrecedence'), 'Q4', 'topicPrecedence');
+  });
+  check('the other matches are kept as ranked labels and reported as losers', () => {
+    const result = classifyText(text, { mode: 'multi', strategy: 'priority' });
+    assertEqual(result.labels.map(label => label.internalId), ['Q3', 'Q4', 'Q1', 'Q2'], 'labels');
+    assertEqual(result.resolution.strategy, 'priority', 'strategy');
+    assertEqual(result.resolution.losers.length, 3, 'losers');
+  });
+  check('single mode returns only the primary label', () => {
+    const result = classifyText(text, { mode: 'single', strategy: 'specificity' });
+    assertEqual(result.labels.map(label => label.internalId), ['Q2'], 'labels');
+  });
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runLabelResolutionTests();
@@ -0,0 +1,311 @@
+/**
+ * Query Parser Test Script
+ * Checks parsing and evaluation of the brand query language against small hand-written cases
+ *
+ * Usage:
+ *   node test-parser.js
+ */
+
+const { parseRule, evaluateRule, prepareDocument, evaluateDocument, spansToHighlights } = require('../utils/parser');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+// Query matches the input, optionally with the given token spans
+function expectMatch(query, input, spans) {
+  const result = evaluateRule(parseRule(query), input);
+  assertEqual(result.matched, true, `"${query}" matched`);
+  if (spans) assertEqual(result.spans, spans, `"${query}" spans`);
+}
+
+function expectNoMatch(query, input) {
+  const result = evaluateRule(parseRule(query), input);
+  assertEqual(result.matched, false, `"${query}" matched`);
+}
+
+// parseRule throws, with a message containing the given text
+function expectParseError(query, message) {
+  try {
+    parseRule(query);
+  } catch (err) {
+    if (err.code !== 'QUERY_PARSE_ERROR') throw new Error(`Unexpected error code ${err.code}`);
+    if (!err.message.includes(message)) throw new Error(`Expected "${message}" in "${err.message}"`);
+    return;
+  }
+  throw new Error(`"${query}" parsed`);
+}
+
+function section(title) {
+  console.log(`\n${colors.bold}${colors.cyan}${title}${colors.reset}`);
+}
+
+const TEXT = 'Stryker knee implant recall: patients asked about the Mako robot by Stryker';
+// Tokens: stryker(0) knee(1) implant(2) recall(3) patients(4) asked(5) about(6) the(7) mako(8) robot(9) by(10) stryker(11)
+
+function runParserTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Query Parser Test${colors.reset}`);
+  console.log('═'.repeat(80));
+
+  section('Basic operators');
+  check('term, phrase and wildcard', () => {
+    expectMatch('knee', TEXT, [[1, 2]]);
+    expectMatch('"knee implant"', TEXT, [[1, 3]]);
+    expectMatch('impl*', TEXT, [[2, 3]]);
+  });
+  check('AND, OR and NOT', () => {
+    expectMatch('knee AND mako', TEXT);
+    expectMatch('hip OR knee', TEXT);
+    expectNoMatch('knee NOT recall', TEXT);
+  });
+  check('NEAR is unordered', () => {
+    expectMatch('mako NEAR/2 recall', 'recall of the mako');
+    expectMatch('recall NEAR/2 mako', 'recall of the mako');
+    expectNoMatch('recall NEAR/1 mako', 'recall of the mako');
+  });
+
+  section('Ordered proximity: ONEAR/n');
+  check('left must come before right', () => {
+    expectMatch('knee ONEAR/2 recall', TEXT, [[1, 4]]);
+    expectNoMatch('recall ONEAR/2 knee', TEXT);
+  });
+  check('distance counts the words between the operands', () => {
+    expectMatch('knee ONEAR/1 recall', TEXT);
+    expectNoMatch('knee ONEAR/0 recall', TEXT);
+  });
+  check('overlapping operands do not count as ordered', () => {
+    expectNoMatch('"knee implant" ONEAR/3 implant', TEXT);
+  });
+  check('two-token form and default distance', () => {
+    expectMatch('mako ONEAR /2 stryker', TEXT);
+    expectNoMatch('mako ONEAR /1 stryker', TEXT);
+    expectMatch('knee ONEAR stryker', 'knee one two three four five six seven eight nine stryker');
+    expectNoMatch('knee ONEAR stryker', 'knee one two three four five six seven eight nine ten stryker');
+  });
+  check('groups as operands', () => {
+    expectMatch('(mako OR rosa) ONEAR/1 (robot OR system)', TEXT, [[8, 10]]);
+  });
+
+  section('NOT NEAR/n');
+  check('matches when the operands are not close', () => {
+    expectMatch('stryker NOT NEAR/2 robot', 'Stryker shares fell after the Mako robot news', [[0, 1]]);
+  });
+  check('excludes the post when any pair is close', () => {
+    // The first stryker is far from robot, the last one is not
+    expectNoMatch('stryker NOT NEAR/2 robot', TEXT);
+  });
+  check('matches when the right side is missing', () => {
+    expectMatch('knee NOT NEAR/3 hip', TEXT, [[1, 2]]);
+  });
+  check('needs the left side', () => {
+    expectNoMatch('hip NOT NEAR/3 knee', TEXT);
+  });
+  check('NOT ONEAR/n only excludes the given order', () => {
+    expectMatch('recall NOT ONEAR/3 knee', TEXT);
+    expectNoMatch('knee NOT ONEAR/3 recall', TEXT);
+  });
+  check('combines with AND and OR', () => {
+    expectMatch('mako AND (stryker NOT NEAR/1 knee)', 'stryker makes the knee and mako robots');
+    expectNoMatch('mako AND (stryker NOT NEAR/1 knee)', 'stryker knee and mako robots');
+  });
+
+  section('Unsupported combinations');
+  check('NOT inside a NEAR operand', () => {
+    expectParseError('knee NEAR/3 NOT recall', 'NOT is not supported inside a NEAR/3 operand');
+    expectParseError('knee ONEAR/3 (implant NOT recall)', 'NOT is not supported inside a ONEAR/3 operand');
+    expectParseError('(knee NOT hip) NOT NEAR/3 recall', 'NOT is not supported inside a NEAR/3 operand');
+  });
+  check('missing operands', () => {
+    expectParseError('NOT NEAR/3 recall', 'NOT NEAR must have left operand');
+    expectParseError('knee NOT NEAR/3', 'NOT NEAR must have right operand');
+    expectParseError('ONEAR/2 knee', 'ONEAR must have left operand');
+  });
+  check('fields without text positions', () => {
+    expectParseError('knee NEAR/3 author:stryker', 'author: has no text positions and cannot be used with NEAR/3');
+  });
+
+  section('Field scopes');
+  const post = { title: 'Stryker news', content: 'Mako robot recall', author: 'Jane', platform: 'reddit', link: 'https://stryker.com' };
+  check('title:, content: and other fields', () => {
+    expectMatch('title:stryker', post, [[0, 1]]);
+    expectNoMatch('title:mako', post);
+    expectMatch('content:(mako ONEAR/1 recall)', post, [[2, 5]]);
+    expectMatch('stryker AND platform:reddit AND link:stryker', post);
+    expectNoMatch('stryker NOT author:jane', post);
+  });
+  check('scoped operands keep NOT NEAR semantics', () => {
+    expectMatch('title:stryker NOT NEAR/0 mako', post);
+    expectNoMatch('title:stryker NOT NEAR/1 mako', post);
+  });
+
+  section('Wildcards and patterns');
+  const FIX = 'Synfix and synchfix; the #hotfix shipped, a salvation beam';
+  // Tokens: synfix(0) and(1) synchfix(2) the(3) #hotfix(4) shipped(5) a(6) salvation(7) beam(8)
+  check('leading, infix and single-character wildcards', () => {
+    expectMatch('*fix', FIX, [[0, 1], [2, 3], [4, 5]]);
+    expectMatch('syn*fix', FIX, [[0, 1], [2, 3]]);
+    expectMatch('syn?fix', 'syncfix', [[0, 1]]);
+    expectNoMatch('syn?fix', 'synfix');
+  });
+  check('marker in the pattern only matches that marker', () => {
+    expectMatch('#*fix', FIX, [[4, 5]]);
+    expectNoMatch('@*fix', FIX);
+  });
+  check('wildcards inside wild: phrases', () => {
+    expectMatch('wild:"salvation beam*"', 'salvation beams', [[0, 2]]);
+    expectMatch('wild:"sal* b?am"', FIX, [[7, 9]]);
+    expectNoMatch('wild:"salvation beam?"', FIX);
+    expectMatch('title:wild:"salvation beam*"', { title: 'Salvation beams', content: '' }, [[0, 2]]);
+    expectParseError('wild:beam*', 'wild: must be followed by a phrase');
+  });
+  check('* and ? in plain phrases are punctuation', () => {
+    expectMatch('"axsos*"', 'new axsos plate', [[1, 2]]);
+    expectMatch('"salvation beam*"', 'salvation beam', [[0, 2]]);
+    expectNoMatch('"salvation beam*"', 'salvation beams');
+  });
+  check('regex terms', () => {
+    expectMatch('/sync?h?fix/', FIX, [[0, 1], [2, 3]]);
+    expectMatch('/s[a-z]{4,5}fix/', FIX, [[2, 3]]);
+    expectNoMatch('/syn/', FIX);
+  });
+  check('patterns as proximity operands', () => {
+    expectMatch('*fix ONEAR/1 shipped', FIX, [[4, 6]]);
+    expectMatch('/salv.*/ NEAR/0 beam', FIX, [[7, 9]]);
+  });
+  check('unsafe regex terms', () => {
+    expectParseError('/abc', 'Unterminated /regex/ term');
+    expectParseError('/(ab)+/', 'Groups can only be made optional');
+    expectParseError('/a{1,50}/', 'limited to 20 repetitions');
+    expectParseError('/a+b+c+d+/', 'At most 3');
+    expectParseError('/a\\d/', 'Unsupported character');
+    expectParseError('/[z-a]/', 'Invalid /regex/ term: Range out of order in character class');
+    expectParseError('/a{2,1}/', 'Invalid /regex/ term: numbers out of order');
+  });
+  check('invalid regex terms report their position', () => {
+    try {
+      parseRule('knee AND /[z-a]/');
+      throw new Error('parsed');
+    } catch (err) {
+      assertEqual([err.code, err.offset, err.column], ['QUERY_PARSE_ERROR', 9, 10], 'position');
+    }
+  });
+  check('regex terms in non-Latin scripts', () => {
+    expectMatch('/колен.*/', 'Протез КОЛЕНА', [[1, 2]]);
+    expectMatch('/stra(ss|s)e/', 'Straße', [[0, 1]]);
+  });
+  check('regex letters must be in folded form', () => {
+    expectParseError('/café/', 'write "e" instead of "é"');
+    expectParseError('/straße/', 'write "ss" instead of "ß"');
+    expectParseError('/ｓｔｒｙｋｅｒ/', 'write "s" instead of "ｓ"');
+    expectParseError('/[àb]x/', 'write "a" instead of "à"');
+  });
+
+  section('Exact form: case:');
+  const ACRONYM = 'New GRAVITY nail; gravity is fine. T2 and t2, the T-2 Nail from #GRAVITY';
+  // Tokens: new(0) gravity(1) nail(2) gravity(3) is(4) fine(5) t2(6) and(7) t2(8) the(9) t(10) 2(11) nail(12) from(13) #gravity(14)
+  check('matches the original casing', () => {
+    expectMatch('case:GRAVITY', ACRONYM, [[1, 2], [14, 15]]);
+    expectMatch('case:t2', ACRONYM, [[8, 9]]);
+    expectNoMatch('case:Gravity', ACRONYM);
+  });
+  check('punctuation between words must match, around them it is ignored', () => {
+    expectMatch('case:"T-2 Nail"', ACRONYM, [[10, 13]]);
+    expectNoMatch('case:"T 2 Nail"', ACRONYM);
+    expectMatch('case:"(GRAVITY)"', ACRONYM, [[1, 2], [14, 15]]);
+  });
+  check('diacritics are kept', () => {
+    expectMatch('case:Café', 'Café Stryker', [[0, 1]]);
+    expectNoMatch('case:Cafe', 'Café Stryker');
+  });
+  check('combines with scopes and proximity', () => {
+    expectMatch('title:case:GRAVITY', { title: 'GRAVITY launch', content: 'gravity' }, [[0, 1]]);
+    expectNoMatch('content:case:GRAVITY', { title: 'GRAVITY launch', content: 'gravity' });
+    expectMatch('case:GRAVITY NEAR/0 nail', ACRONYM, [[1, 3]]);
+    expectMatch('author:case:JD', { content: 'knee', author: 'JD Smith' });
+  });
+  check('needs a term or phrase without wildcards', () => {
+    expectParseError('case:(gravity OR t2)', 'case: must be followed by a term or phrase');
+    expectParseError('case:GRAV*', 'case: terms cannot contain wildcards');
+  });
+
+  section('Unicode text');
+  check('letters of any script', () => {
+    expectMatch('колена', 'Протез КОЛЕНА Stryker', [[1, 2]]);
+    expectMatch('"στραικερ λογος"', 'Ο ΣΤΡΆΙΚΕΡ λόγος', [[1, 3]]);
+    expectMatch('الركبة', 'عملية استبدال الرُّكبة', [[2, 3]]);
+    expectMatch('प्रत्यारोपण', 'घुटने का प्रत्यारोपण', [[2, 3]]);
+  });
+  check('case folding: sharp s, Turkish i, fullwidth letters', () => {
+    expectMatch('strasse', 'Straße', [[0, 1]]);
+    expectMatch('istanbul', 'İSTANBUL and ıstanbul', [[0, 1], [2, 3]]);
+    expectMatch('stryker', 'Ｓｔｒｙｋｅｒ', [[0, 1]]);
+  });
+  check('scripts without spaces are split into words', () => {
+    const text = '史赛克公司发布了新的膝关节置换系统';
+    expectMatch('史赛克', text, [[0, 3]]);
+    expectMatch('"膝关节"', text);
+    expectMatch('公司', text);
+    expectNoMatch('公', text);
+    expectMatch('สไตรเกอร์', 'ข่าวสไตรเกอร์วันนี้');
+  });
+  check('terms with punctuation inside stay one term, as before', () => {
+    expectNoMatch('super_stryker', 'super_stryker news');
+    expectNoMatch('t-2', 'T-2 nail');
+    expectMatch('"t-2"', 'T-2 nail', [[0, 2]]);
+    expectMatch('x NOT harry-potter', 'x harry-potter', [[0, 1]]);
+  });
+  check('highlights point at the original characters', () => {
+    const text = 'Neue Straße: 史赛克公司';
+    const doc = prepareDocument(text);
+    const result = evaluateDocument(parseRule('strasse OR 公司'), doc);
+    assertEqual(spansToHighlights(result.spans, doc.tokens, text).map(h => h.text), ['Straße', '公司'], 'highlights');
+  });
+
+  section('Parse errors');
+  check('positions', () => {
+    try {
+      parseRule('knee AND\n(hip OR');
+      throw new Error('parsed');
+    } catch (err) {
+      assertEqual([err.line, err.column], [2, 6], 'line and column');
+    }
+  });
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runParserTests();
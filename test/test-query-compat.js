@@ -0,0 +1,159 @@
+/**
+ * Query Compatibility Test Script
+ * Runs every query in config/BrandQueries.csv through the current parser and the frozen
+ * baseline parser (test/fixtures/parser-baseline.js) and compares the matches per query and per text
+ *
+ * Texts are generated from the queries' terms and phrases, written as in the query
+ * (so t-2 appears as t-2) and with wildcards filled in, mixed with filler words.
+ * Each query is evaluated on texts made from its own words plus texts shared by all queries.
+ * Any query whose matches or spans differ fails the run, unless it is listed in
+ * KNOWN_DIFFERENCES with the reason.
+ *
+ * Usage:
+ *   node test-query-compat.js
+ *   node test-query-compat.js --verbose   # Print every differing text
+ */
+
+const { parseRule, prepareDocument, evaluateDocument } = require('../utils/parser');
+const baseline = require('./fixtures/parser-baseline');
+const { readCsvQueries } = require('../services/brandClassifier');
+
+const VERBOSE = process.argv.includes('--verbose');
+const TEXTS_PER_QUERY = 12;
+// Texts mixing the words of all queries, evaluated against every query
+const SHARED_TEXTS = 200;
+
+// Internal ID -> why the current parser matches differently. Keep this list short and explained.
+const KNOWN_DIFFERENCES = {};
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+// Deterministic pseudo-random numbers so runs are comparable
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const FILLER = (
+  'the a patient surgery today doctor hospital recovery knee hip great news thanks team after week ' +
+  'our new study results shows shared with my family finally home post op day pain better walking'
+).split(' ');
+
+// Text fragments for the terms and phrases of a query, as the baseline tokenizer reads them
+function queryFragments(queryText) {
+  const fragments = [];
+  baseline._internals.tokenizeQuery(queryText).forEach(tok => {
+    if (tok.type !== 'TERM' && tok.type !== 'PHRASE') return;
+    const value = tok.value.trim();
+    if (!value) return;
+    fragments.push(value.replace(/[*?]/g, ''));
+    if (/[*?]/.test(value)) fragments.push(value.replace(/\*/g, 'ing').replace(/\?/g, 's'));
+  });
+  return fragments;
+}
+
+function randomText(random, fragments, share) {
+  const pick = list => list[Math.floor(random() * list.length)];
+  const words = [];
+  const length = 6 + Math.floor(random() * 20);
+  for (let j = 0; j < length; j++) {
+    words.push(random() < share ? pick(fragments) : pick(FILLER));
+  }
+  return words.join(' ');
+}
+
+// Texts for one query: each of its words alone, all of them together (which also hits its
+// NOT terms), then random mixes
+function ownTexts(random, fragments) {
+  if (fragments.length === 0) return [];
+  const texts = [...new Set(fragments), fragments.join(' ')];
+  for (let i = 1; i < TEXTS_PER_QUERY; i++) texts.push(randomText(random, fragments, 0.5));
+  return texts;
+}
+
+// evaluateRule of the baseline parser on text it has already tokenized
+function baselineEvaluate(ast, tokens) {
+  const { evaluatePositive, checkForbidden, mergeSpans } = baseline._internals;
+  if (checkForbidden(ast, tokens)) return { matched: false, spans: [] };
+  const positive = evaluatePositive(ast, tokens);
+  if (!positive.hasPositive) return { matched: true, spans: [] };
+  return { matched: positive.matched, spans: positive.matched ? mergeSpans(positive.spans) : [] };
+}
+
+function resultKey(result) {
+  return result.matched ? JSON.stringify(result.spans) : '-';
+}
+
+function runCompatTest() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Query Compatibility Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  const { records } = readCsvQueries();
+  const queries = records.map(record => ({
+    id: record.internalId,
+    name: record.queryName,
+    queryText: record.queryText,
+    current: parseRule(record.queryText),
+    baseline: baseline.parseRule(record.queryText),
+  }));
+  const random = createRandom(7);
+  const fragments = queries.map(query => queryFragments(query.queryText));
+  const allFragments = fragments.flat();
+  const sharedTexts = Array.from({ length: SHARED_TEXTS }, () => randomText(random, allFragments, 0.3));
+  console.log(`Queries: ${queries.length}, texts: ${TEXTS_PER_QUERY} per query and ${SHARED_TEXTS} shared\n`);
+
+  // Internal ID -> differing texts
+  const differences = new Map();
+  queries.forEach((query, idx) => {
+    ownTexts(random, fragments[idx]).concat(sharedTexts).forEach(text => {
+      const expected = resultKey(baselineEvaluate(query.baseline, baseline._internals.tokenizeArticle(text)));
+      const actual = resultKey(evaluateDocument(query.current, prepareDocument(text)));
+      if (expected === actual) return;
+      if (!differences.has(query.id)) differences.set(query.id, []);
+      differences.get(query.id).push({ text, expected, actual });
+    });
+  });
+
+  let unexpected = 0;
+  queries.forEach(query => {
+    const diffs = differences.get(query.id);
+    if (!diffs) return;
+    const known = KNOWN_DIFFERENCES[query.id];
+    const color = known ? colors.yellow : colors.red;
+    if (!known) unexpected++;
+    console.log(`${color}${known ? '~' : '✗'} ${query.id} ${query.name}${colors.reset}: ${diffs.length} text(s)`
+      + (known ? ` ${colors.dim}(known: ${known})${colors.reset}` : ''));
+    console.log(`    ${colors.dim}${query.queryText.slice(0, 160)}${colors.reset}`);
+    diffs.slice(0, VERBOSE ? diffs.length : 1).forEach(diff => {
+      console.log(`    ${colors.dim}text:     ${diff.text.slice(0, 160)}${colors.reset}`);
+      console.log(`    ${colors.dim}baseline: ${diff.expected}  current: ${diff.actual}${colors.reset}`);
+    });
+  });
+
+  // Known differences that no longer show up should be removed from the list
+  const stale = Object.keys(KNOWN_DIFFERENCES).filter(id => !differences.has(id));
+  stale.forEach(id => console.log(`${colors.red}✗ ${id}${colors.reset}: listed in KNOWN_DIFFERENCES but matches the baseline`));
+
+  console.log('\n' + '═'.repeat(80));
+  if (unexpected > 0 || stale.length > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${unexpected} query(s) match differently, ${stale.length} stale known difference(s)`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${queries.length} queries, ${differences.size} known difference(s)`);
+}
+
+// Run the tests
+runCompatTest();
@@ -0,0 +1,218 @@
+/**
+ * Retry and Dead Letter Test Script
+ * Checks the backoff helper, the dead-letter store, and that queue items whose raw insert
+ * keeps failing end up dead-lettered and out of the journal. Storage, journal and dead-letter
+ * files go to a temporary directory.
+ *
+ * Usage:
+ *   node test-retry.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Paths and retry settings are read when the config is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kwatch-retry-'));
+const deadLetterPath = path.join(tempDir, 'kwatch-dead-letter.json');
+const journalPath = path.join(tempDir, 'kwatch-journal.ndjson');
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(tempDir, 'store');
+process.env.KWATCH_DEAD_LETTER_PATH = deadLetterPath;
+process.env.KWATCH_JOURNAL_PATH = journalPath;
+process.env.KWATCH_RETRY_MAX_ATTEMPTS = '3';
+process.env.KWATCH_RETRY_BASE_DELAY_MS = '1';
+process.env.KWATCH_RETRY_MAX_DELAY_MS = '5';
+
+const { withRetry, isTransientError, getRetryAfterMs, createRetryOptions } = require('../utils/retry');
+const { createAtomicWriter } = require('../utils/atomicFile');
+const deadLetterModule = require.resolve('../services/deadLetterStore');
+const { addDeadLetter, listDeadLetters, getDeadLetter, removeDeadLetter, getDeadLetterStatus } = require(deadLetterModule);
+const { rawItems } = require('../services/storage');
+const { enqueueIfNew, startQueueProcessor, drainQueue } = require('../services/kwatchQueue');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+function errorWithCode(code, extra = {}) {
+  return Object.assign(new Error(`failed with ${code}`), { code }, extra);
+}
+
+// An operation failing with the given errors in turn, then returning 'ok'
+function failingOperation(errors) {
+  const calls = [];
+  const operation = async attempt => {
+    calls.push(attempt);
+    if (calls.length <= errors.length) throw errors[calls.length - 1];
+    return 'ok';
+  };
+  return { operation, calls };
+}
+
+async function runRetryTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Retry and Dead Letter Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  const fast = { baseDelayMs: 1, maxDelayMs: 5 };
+
+  try {
+    await check('transient errors are retried until the operation succeeds', async () => {
+      const { operation, calls } = failingOperation([errorWithCode(503), errorWithCode('ECONNRESET')]);
+      assertEqual(await withRetry(operation, fast), 'ok', 'result');
+      assertEqual(calls, [1, 2, 3], 'attempts');
+    });
+
+    await check('gives up after maxAttempts with the last error and its attempt count', async () => {
+      const { operation, calls } = failingOperation([errorWithCode(429), errorWithCode(429), errorWithCode(503)]);
+      try {
+        await withRetry(operation, { ...fast, maxAttempts: 3 });
+        throw new Error('did not throw');
+      } catch (err) {
+        assertEqual([err.code, err.attempts, calls.length], [503, 3, 3], 'error');
+      }
+    });
+
+    await check('other errors are not retried', async () => {
+      const { operation, calls } = failingOperation([errorWithCode(409)]);
+      try {
+        await withRetry(operation, fast);
+        throw new Error('did not throw');
+      } catch (err) {
+        assertEqual([err.code, err.attempts, calls.length], [409, 1, 1], 'error');
+      }
+    });
+
+    await check('delays double per attempt and respect the retry-after hint', async () => {
+      const delays = [];
+      const { operation } = failingOperation([errorWithCode(503), errorWithCode(503), errorWithCode(429, { retryAfterInMs: 40 })]);
+      await withRetry(operation, { baseDelayMs: 10, maxDelayMs: 1000, onRetry: (err, attempt, delay) => delays.push(delay) });
+      assertEqual(delays[0] >= 10 && delays[0] <= 12, true, `first delay ${delays[0]}`);
+      assertEqual(delays[1] >= 20 && delays[1] <= 24, true, `second delay ${delays[1]}`);
+      assertEqual(delays[2] >= 40 && delays[2] <= 48, true, `third delay ${delays[2]}`);
+    });
+
+    await check('transient error detection and retry-after parsing', async () => {
+      assertEqual([408, 429, 503, 'ETIMEDOUT'].map(code => isTransientError(errorWithCode(code))), [true, true, true, true], 'transient');
+      assertEqual([400, 404, 409, 'ENOENT'].map(code => isTransientError(errorWithCode(code))), [false, false, false, false], 'permanent');
+      assertEqual(isTransientError({ statusCode: 502 }), true, 'statusCode');
+      assertEqual(getRetryAfterMs({ headers: { 'x-ms-retry-after-ms': '250' } }), 250, 'header');
+      assertEqual(getRetryAfterMs({ retryAfterInMilliseconds: 75 }), 75, 'property');
+      assertEqual(getRetryAfterMs(errorWithCode(503)), 0, 'none');
+    });
+
+    await check('shared retry options carry the settings and log with the service tag', async () => {
+      const options = createRetryOptions('Test', { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 5 })('Write of x');
+      assertEqual([options.maxAttempts, options.baseDelayMs, options.maxDelayMs], [2, 1, 5], 'settings');
+      const warn = console.warn;
+      const logged = [];
+      console.warn = message => logged.push(message);
+      try {
+        options.onRetry(errorWithCode(503), 1, 1.4);
+      } finally {
+        console.warn = warn;
+      }
+      assertEqual(logged, ['[Test] Write of x failed (attempt 1, code 503), retrying in 1ms'], 'log');
+    });
+
+    await check('atomic writes land in call order and a failed write does not block the next', async () => {
+      const filePath = path.join(tempDir, 'nested', 'state.json');
+      const write = createAtomicWriter(filePath);
+      await Promise.all(['1', '2', '3'].map(data => write(data)));
+      assertEqual(fs.readFileSync(filePath, 'utf-8'), '3', 'last write wins');
+      const blocked = createAtomicWriter(path.join(tempDir, 'store-file', 'state.json'));
+      fs.writeFileSync(path.join(tempDir, 'store-file'), '');
+      const failure = await blocked('x').then(() => null, err => err.code);
+      assertEqual(failure, 'EEXIST', 'failed write');
+      fs.unlinkSync(path.join(tempDir, 'store-file'));
+      await blocked('y');
+      assertEqual(fs.readFileSync(path.join(tempDir, 'store-file', 'state.json'), 'utf-8'), 'y', 'next write');
+    });
+
+    await check('dead letters are persisted and count repeated failures', async () => {
+      const document = { id: 'dl-1', platform: 'reddit', title: 'Knee' };
+      const first = await addDeadLetter(document, 'raw', errorWithCode(503, { attempts: 5 }));
+      const second = await addDeadLetter(document, 'processed', errorWithCode(429));
+      assertEqual([second.stage, second.failureCount, second.attempts, second.firstFailedAt], ['processed', 2, 1, first.firstFailedAt], 'entry');
+      const stored = JSON.parse(fs.readFileSync(deadLetterPath, 'utf-8'));
+      assertEqual(stored['dl-1'].document, document, 'file');
+      assertEqual(fs.existsSync(`${deadLetterPath}.tmp`), false, 'temporary file removed');
+    });
+
+    await check('dead letters are listed, read back after a restart and removed', async () => {
+      await addDeadLetter({ id: 'dl-2', platform: 'x' }, 'raw', errorWithCode(503));
+      assertEqual(listDeadLetters({ stage: 'raw' }).map(entry => entry.id), ['dl-2'], 'by stage');
+      assertEqual(getDeadLetterStatus(), { total: 2, raw: 1, processed: 1 }, 'status');
+      // A fresh copy of the module reads the file again
+      delete require.cache[deadLetterModule];
+      assertEqual(require(deadLetterModule).getDeadLetter('dl-1').failureCount, 2, 'reloaded');
+      assertEqual(await removeDeadLetter('dl-2'), true, 'removed');
+      assertEqual([getDeadLetter('dl-2'), await removeDeadLetter('dl-2')], [null, false], 'gone');
+    });
+
+    await check('queue items whose raw insert keeps failing are dead-lettered and leave the journal', async () => {
+      const create = rawItems.create;
+      const attempts = {};
+      rawItems.create = async item => {
+        attempts[item.id] = (attempts[item.id] || 0) + 1;
+        // q-flaky succeeds on its third attempt, q-broken never does
+        if (item.id === 'q-broken' || attempts[item.id] < 3) throw errorWithCode(503);
+        return create(item);
+      };
+      try {
+        const receivedAt = new Date().toISOString();
+        await enqueueIfNew({ id: 'q-broken', platform: 'reddit', title: 'a', content: 'a', receivedAt });
+        await enqueueIfNew({ id: 'q-flaky', platform: 'reddit', title: 'b', content: 'b', receivedAt });
+        startQueueProcessor();
+        const summary = await drainQueue(5000);
+        assertEqual([summary.flushed, summary.deadLettered, summary.remaining], [1, 1, 0], 'summary');
+        assertEqual(attempts, { 'q-broken': 3, 'q-flaky': 3 }, 'attempts');
+        assertEqual(getDeadLetter('q-broken').attempts, 3, 'dead letter attempts');
+        assertEqual(await rawItems.read('q-flaky', 'reddit') !== null, true, 'stored');
+        assertEqual(fs.readFileSync(journalPath, 'utf-8'), '', 'journal');
+      } finally {
+        rawItems.create = create;
+      }
+    });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runRetryTests();
@@ -0,0 +1,174 @@
+/**
+ * Webhook Auth Test Script
+ * Sends signed, token and forged requests through the webhook auth middleware on a local
+ * Express app and checks which are let through and which caller IP is recorded
+ *
+ * Usage:
+ *   node test-webhook-auth.js
+ */
+
+// Secrets and proxy settings are read when the config is loaded
+process.env.KWATCH_WEBHOOK_SECRETS = 'default:s3cret|previous,partner:p4ss';
+process.env.KWATCH_WEBHOOK_TOLERANCE_SECONDS = '300';
+process.env.TRUST_PROXY = '1';
+
+const express = require('express');
+const { webhookAuth } = require('../config/kwatch');
+const { verifyKWatchWebhook, computeSignature, getWebhookAuthStatus } = require('../middleware/webhookAuth');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+};
+
+let passed = 0;
+let failed = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ${colors.green}✓${colors.reset} ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ${colors.red}✗ ${name}${colors.reset}`);
+    console.log(`    ${colors.dim}${err.message}${colors.reset}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${label}: expected ${e}, got ${a}`);
+}
+
+// The middleware as server.js mounts it, in front of a handler echoing what it saw
+function createApp() {
+  const app = express();
+  app.set('trust proxy', webhookAuth.trustProxy);
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.post('/hook', verifyKWatchWebhook, (req, res) => res.json({ source: req.webhookSource }));
+  return app;
+}
+
+function now() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+// Signed request headers for a body
+function signed(body, { secret = 's3cret', timestamp = now(), source } = {}) {
+  const headers = {
+    'x-kwatch-timestamp': timestamp,
+    'x-kwatch-signature': `sha256=${computeSignature(secret, timestamp, body)}`,
+  };
+  if (source) headers['x-kwatch-source'] = source;
+  return headers;
+}
+
+async function runWebhookAuthTests() {
+  console.log('\n' + '═'.repeat(80));
+  console.log(`${colors.bold}${colors.cyan}Webhook Auth Test${colors.reset}`);
+  console.log('═'.repeat(80) + '\n');
+
+  const server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // POST a raw body; returns { status, body }
+  async function post(body, headers = {}, query = '') {
+    const response = await fetch(`${baseUrl}/hook${query}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const body = JSON.stringify({ platform: 'reddit', title: 'Knee implant', content: 'Stryker' });
+
+  try {
+    await check('valid HMAC signature is accepted', async () => {
+      const response = await post(body, signed(body));
+      assertEqual(response, { status: 200, body: { source: 'default' } }, 'response');
+    });
+
+    await check('any secret of the source works, so secrets can be rotated', async () => {
+      assertEqual((await post(body, signed(body, { secret: 'previous' }))).status, 200, 'previous secret');
+      assertEqual((await post(body, signed(body, { secret: 'p4ss', source: 'partner' }))).body,
+        { source: 'partner' }, 'partner source');
+    });
+
+    await check('tampered body is rejected with 403', async () => {
+      const tampered = body.replace('Stryker', 'Zimmer');
+      const response = await post(tampered, signed(body));
+      assertEqual([response.status, response.body.reason], [403, 'invalid_signature'], 'tampered');
+    });
+
+    await check('signature of another source is rejected', async () => {
+      const response = await post(body, signed(body, { secret: 's3cret', source: 'partner' }));
+      assertEqual([response.status, response.body.reason], [403, 'invalid_signature'], 'wrong source');
+    });
+
+    await check('stale and future timestamps are rejected', async () => {
+      const stale = String(Math.floor(Date.now() / 1000) - 301);
+      const future = String(Math.floor(Date.now() / 1000) + 301);
+      assertEqual((await post(body, signed(body, { timestamp: stale }))).body.reason, 'stale_timestamp', 'stale');
+      assertEqual((await post(body, signed(body, { timestamp: future }))).body.reason, 'stale_timestamp', 'future');
+      // Milliseconds are read as seconds
+      assertEqual((await post(body, signed(body, { timestamp: `${now()}000` }))).status, 200, 'milliseconds');
+    });
+
+    await check('signature without timestamp, malformed timestamp', async () => {
+      const headers = signed(body);
+      delete headers['x-kwatch-timestamp'];
+      const response = await post(body, headers);
+      assertEqual([response.status, response.body.reason], [401, 'missing_timestamp'], 'missing');
+      assertEqual((await post(body, signed(body, { timestamp: 'yesterday' }))).body.reason, 'invalid_timestamp', 'malformed');
+    });
+
+    await check('token in header or query string', async () => {
+      assertEqual((await post(body, { 'x-kwatch-token': 's3cret' })).status, 200, 'header');
+      assertEqual((await post(body, {}, '?token=p4ss&source=partner')).body, { source: 'partner' }, 'query');
+      assertEqual((await post(body, { 'x-kwatch-token': 'wrong' })).body.reason, 'invalid_token', 'wrong token');
+    });
+
+    await check('missing credentials and unknown source are 401', async () => {
+      const missing = await post(body);
+      assertEqual([missing.status, missing.body.reason], [401, 'missing_credentials'], 'none');
+      const unknown = await post(body, { 'x-kwatch-token': 's3cret', 'x-kwatch-source': 'nobody' });
+      assertEqual([unknown.status, unknown.body.reason], [401, 'unknown_source'], 'unknown');
+    });
+
+    await check('rejections record the IP of the trusted proxy hop, not a spoofed one', async () => {
+      // With TRUST_PROXY=1 only the last X-Forwarded-For entry, added by the proxy, is believed
+      await post(body, { 'x-kwatch-token': 'wrong', 'x-forwarded-for': '1.2.3.4, 203.0.113.9' });
+      assertEqual(getWebhookAuthStatus().rejections.lastRejectedIp, '203.0.113.9', 'proxy hop');
+      await post(body, { 'x-kwatch-token': 'wrong' });
+      assertEqual(getWebhookAuthStatus().rejections.lastRejectedIp, '127.0.0.1', 'direct');
+    });
+
+    await check('rejections are counted by reason', async () => {
+      const { rejections } = getWebhookAuthStatus();
+      assertEqual(rejections.byReason.invalid_signature, 2, 'invalid_signature');
+      assertEqual(rejections.byReason.invalid_token, 3, 'invalid_token');
+      assertEqual(rejections.total, Object.values(rejections.byReason).reduce((a, b) => a + b, 0), 'total');
+    });
+  } finally {
+    server.close();
+  }
+
+  console.log('\n' + '═'.repeat(80));
+  if (failed > 0) {
+    console.log(`${colors.red}${colors.bold} TEST FAILED ${colors.reset} ${failed} failed, ${passed} passed`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold} TEST PASSED ${colors.reset} ${passed} checks`);
+}
+
+// Run the tests
+runWebhookAuthTests();
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Whole-file writes for the local JSON stores (collections, dead letters, job state)
+// The data goes to a temp file that is renamed over the target, so a crash leaves
+// either the old or the new content, never a partial file
+
+/**
+ * Replace a file with new content atomically (temp file + rename)
+ * Missing parent directories are created
+ * @param {string} filePath - Target file
+ * @param {string} data - New content
+ */
+async function writeFileAtomic(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, data, 'utf-8');
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Create a writer that replaces one file atomically, one write at a time
+ * Writes run in call order, so an older snapshot never overwrites a newer one;
+ * a failed write rejects its own promise without blocking the next
+ * @param {string} filePath - Target file
+ * @returns {Function} write(data) => Promise resolving once the file is replaced
+ */
+function createAtomicWriter(filePath) {
+  let writeChain = Promise.resolve();
+
+  return function write(data) {
+    const run = writeChain.then(() => writeFileAtomic(filePath, data));
+    writeChain = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = {
+  writeFileAtomic,
+  createAtomicWriter,
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Opaque pagination cursors wrapping a storage continuation token
+
+// Short hash of the listing parameters, so a cursor can't be replayed against a different query
+function fingerprint(listing) {
+  return crypto.createHash('sha256').update(JSON.stringify(listing)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Build the cursor for the next page
+ * @param {string} continuation - Continuation token from the repository
+ * @param {Object} listing - Filters and sort the page was fetched with
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(continuation, listing) {
+  return Buffer.from(JSON.stringify({ c: continuation, f: fingerprint(listing) })).toString('base64url');
+}
+
+/**
+ * Read a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the request
+ * @param {Object} listing - Filters and sort of the current request
+ * @returns {Object} { continuation } or { error }
+ */
+function decodeCursor(cursor, listing) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch (err) {
+    return { error: 'Invalid cursor' };
+  }
+  if (!decoded || typeof decoded.c !== 'string' || typeof decoded.f !== 'string') {
+    return { error: 'Invalid cursor' };
+  }
+  if (decoded.f !== fingerprint(listing)) {
+    return { error: 'Cursor does not match the current filters and sort' };
+  }
+  return { continuation: decoded.c };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
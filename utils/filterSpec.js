@@ -0,0 +1,96 @@
+// Filter specs shared by the storage repositories
+// A filter spec is an array of conditions, all of which must hold. A condition is either
+// { field, op, value } or { any: [conditions] }, which holds when at least one of its conditions does.
+// Operators: "eq", "gte", "lte", "eqi" (case-insensitive equals), "contains" (case-insensitive substring),
+// "elementEqi" ({ field, op, key, value }: some object in the array field has key equal to value, case-insensitive;
+// without key, some string in the array field equals value)
+
+const OPERATORS = ['eq', 'gte', 'lte', 'eqi', 'contains', 'elementEqi'];
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Field names end up inside Cosmos SQL, so only plain identifiers are allowed
+function assertFieldName(field) {
+  if (typeof field !== 'string' || !FIELD_NAME_PATTERN.test(field)) {
+    throw new Error(`Invalid field name "${field}"`);
+  }
+}
+
+function assertFilters(filters = []) {
+  filters.forEach(filter => {
+    if (filter.any) {
+      if (!Array.isArray(filter.any) || filter.any.length === 0) {
+        throw new Error('"any" must be a non-empty array of conditions');
+      }
+      assertFilters(filter.any);
+      return;
+    }
+    assertFieldName(filter.field);
+    if (!OPERATORS.includes(filter.op)) {
+      throw new Error(`Unsupported filter operator "${filter.op}"`);
+    }
+    if (['eqi', 'contains', 'elementEqi'].includes(filter.op) && typeof filter.value !== 'string') {
+      throw new Error(`Operator "${filter.op}" needs a string value`);
+    }
+    if (filter.op === 'elementEqi' && filter.key !== undefined) assertFieldName(filter.key);
+  });
+}
+
+// Ordering used for comparisons and sorting: missing values first, then booleans, numbers, strings
+function typeRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  return 4;
+}
+
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0 || rankA === 4) return 0;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function matchesCondition(document, { field, op, key, value }) {
+  const actual = document[field];
+  if (op === 'eq') return actual === value;
+  if (op === 'elementEqi') {
+    return Array.isArray(actual) && actual.some(element => {
+      const item = key === undefined ? element : element && element[key];
+      return typeof item === 'string' && item.toLowerCase() === value.toLowerCase();
+    });
+  }
+  if (op === 'eqi' || op === 'contains') {
+    if (typeof actual !== 'string') return false;
+    const lowerActual = actual.toLowerCase();
+    const lowerValue = value.toLowerCase();
+    return op === 'eqi' ? lowerActual === lowerValue : lowerActual.includes(lowerValue);
+  }
+  if (typeRank(actual) !== typeRank(value) || typeRank(actual) === 0) return false;
+  const comparison = compareValues(actual, value);
+  return op === 'gte' ? comparison >= 0 : comparison <= 0;
+}
+
+/**
+ * Check a document against a filter spec
+ * Range operators only match values of the same type, as in Cosmos
+ * @param {Object} document - Stored document
+ * @param {Array<Object>} filters - Filter spec
+ * @returns {boolean} True if every condition holds
+ */
+function matchesFilters(document, filters = []) {
+  return filters.every(filter => (filter.any
+    ? filter.any.some(condition => matchesFilters(document, [condition]))
+    : matchesCondition(document, filter)));
+}
+
+module.exports = {
+  OPERATORS,
+  assertFieldName,
+  assertFilters,
+  compareValues,
+  matchesFilters,
+};
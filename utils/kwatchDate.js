@@ -0,0 +1,153 @@
+// Parser for the datetime strings KWatch sends, e.g. "11 Dec 24 10:30 UTC"
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+// "Dec", "dec", "December", "Sept" -> 11 / 8; undefined for anything else
+function parseMonth(name) {
+  const lower = name.toLowerCase();
+  if (lower === 'sept') return 8;
+  const index = MONTH_NAMES.findIndex(month => month === lower || month.slice(0, 3) === lower);
+  return index === -1 ? undefined : index;
+}
+
+// Timezone abbreviations -> offset from UTC in minutes
+const TIMEZONES = {
+  utc: 0, gmt: 0, z: 0, ut: 0,
+  wet: 0, west: 60, bst: 60, ist: 330,
+  cet: 60, cest: 120, met: 60, mest: 120,
+  eet: 120, eest: 180, msk: 180,
+  est: -300, edt: -240, cst: -360, cdt: -300,
+  mst: -420, mdt: -360, pst: -480, pdt: -420,
+  akst: -540, akdt: -480, hst: -600,
+  sgt: 480, hkt: 480, jst: 540, kst: 540,
+  awst: 480, acst: 570, acdt: 630, aest: 600, aedt: 660,
+  nzst: 720, nzdt: 780,
+};
+
+// Two-digit years below this pivot are 20xx, the rest 19xx
+const TWO_DIGIT_YEAR_PIVOT = 70;
+
+function expandYear(year) {
+  if (year.length === 4) return parseInt(year, 10);
+  const num = parseInt(year, 10);
+  return num < TWO_DIGIT_YEAR_PIVOT ? 2000 + num : 1900 + num;
+}
+
+// "+0530", "+05:30", "-08", "UTC+2", "GMT-03:00" -> minutes
+function parseOffset(value) {
+  const match = /^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(value);
+  if (!match) return null;
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function parseTimezone(value) {
+  if (!value) return 0; // KWatch times without a zone are UTC
+  const name = value.toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(TIMEZONES, name)) return TIMEZONES[name];
+  return parseOffset(value);
+}
+
+// "10:30", "10:30:15", "10:30 pm" -> { hours, minutes, seconds }
+function parseTime(time, meridiem) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time || '0:00');
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3] || '0', 10);
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    const pm = meridiem.toLowerCase().startsWith('p');
+    hours = (hours % 12) + (pm ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return { hours, minutes, seconds };
+}
+
+function buildDate(year, month, day, time, offsetMinutes) {
+  if (month === undefined || offsetMinutes === null || !time) return null;
+  if (day < 1 || day > 31) return null;
+
+  const utc = Date.UTC(year, month, day, time.hours, time.minutes, time.seconds) - offsetMinutes * 60000;
+  const date = new Date(utc);
+
+  // Reject rollovers such as 31 Feb
+  const local = new Date(utc + offsetMinutes * 60000);
+  if (local.getUTCDate() !== day || local.getUTCMonth() !== month) return null;
+  return date;
+}
+
+// Day-first and month-first textual formats, optional weekday, time, meridiem and zone
+const DAY_FIRST = /^(?:[a-z]+,?\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{2}|\d{4})(?:,?\s+(?:at\s+)?(\d{1,2}:\d{2}(?::\d{2})?)\s*(am|pm|a\.m\.|p\.m\.)?)?(?:\s+\(?([a-z]+|(?:utc|gmt)?[+-]\d{1,2}(?::?\d{2})?)\)?)?$/i;
+const MONTH_FIRST = /^(?:[a-z]+,?\s+)?([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2}|\d{4})(?:,?\s+(?:at\s+)?(\d{1,2}:\d{2}(?::\d{2})?)\s*(am|pm|a\.m\.|p\.m\.)?)?(?:\s+\(?([a-z]+|(?:utc|gmt)?[+-]\d{1,2}(?::?\d{2})?)\)?)?$/i;
+// ISO-like "2024-12-11 10:30", with optional seconds, fraction and zone
+const ISO_LIKE = /^(\d{4})-(\d{2})-(\d{2})(?:[t\s](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?\s*(z|[+-]\d{2}:?\d{2}|[a-z]+)?)?$/i;
+
+/**
+ * Parse a KWatch datetime string
+ * Accepts "11 Dec 24 10:30 UTC", "11 December 2024 10:30", "Dec 11, 2024 10:30 PM EST",
+ * "Wed, 11 Dec 2024 10:30:00 +0100", ISO 8601 and unix timestamps (seconds or ms).
+ * Two-digit years are read as 1970-2069; a missing zone means UTC.
+ * @param {string|number} value - Datetime as received
+ * @returns {Date|null} Parsed date, or null if the value cannot be parsed
+ */
+function parseKWatchDate(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+
+  if (/^\d{9,13}$/.test(text)) {
+    const num = parseInt(text, 10);
+    return new Date(text.length > 10 ? num : num * 1000);
+  }
+
+  let match = ISO_LIKE.exec(text);
+  if (match) {
+    const offset = match[5] ? parseTimezone(match[5].toLowerCase() === 'z' ? 'utc' : match[5]) : 0;
+    return buildDate(
+      parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+      parseTime(match[4]), offset
+    );
+  }
+
+  match = DAY_FIRST.exec(text);
+  if (match) {
+    return buildDate(
+      expandYear(match[3]), parseMonth(match[2]), parseInt(match[1], 10),
+      parseTime(match[4], match[5]), parseTimezone(match[6])
+    );
+  }
+
+  match = MONTH_FIRST.exec(text);
+  if (match) {
+    return buildDate(
+      expandYear(match[3]), parseMonth(match[1]), parseInt(match[2], 10),
+      parseTime(match[4], match[5]), parseTimezone(match[6])
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a KWatch datetime into the fields stored on documents
+ * @param {string} datetime - Datetime as received
+ * @returns {Object} { publishedAt: ISO string or null, publishedAtValid: boolean }
+ */
+function normalizePublishedAt(datetime) {
+  const date = parseKWatchDate(datetime);
+  const valid = date !== null && !isNaN(date.getTime());
+  return {
+    publishedAt: valid ? date.toISOString() : null,
+    publishedAtValid: valid,
+  };
+}
+
+module.exports = {
+  parseKWatchDate,
+  normalizePublishedAt,
+};
@@ -0,0 +1,88 @@
+// Link helpers for KWatch items
+
+// Query parameters that only carry campaign/referral tracking, on any host
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|twclid|igshid|igsh|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i,
+  /^(ref|ref_src|ref_url|referrer|share_id|shared|sharing)$/i,
+];
+
+// Host-specific tracking parameters, keyed by canonical host (e.g. "t" is a timestamp on YouTube but a tracker on X)
+const HOST_TRACKING_PARAMS = {
+  'x.com': ['s', 't', 'src'],
+  'reddit.com': ['rdt', 'sh', 'st'],
+  'youtube.com': ['si', 'feature', 'pp', 'ab_channel'],
+  'linkedin.com': ['trk', 'trackingid', 'lipi', 'rcm', 'originalsubdomain'],
+  'facebook.com': ['mibextid', 'rdid', 'sfnsn', '__cft__[0]', '__tn__', 'comment_tracking'],
+  'instagram.com': ['img_index'],
+  'quora.com': ['ch', 'oid', 'share', 'srid', 'target_type'],
+};
+
+// Mobile/alternate hosts mapped to the canonical host
+const HOST_ALIASES = {
+  'mobile.twitter.com': 'x.com',
+  'twitter.com': 'x.com',
+  'mobile.x.com': 'x.com',
+  'old.reddit.com': 'reddit.com',
+  'new.reddit.com': 'reddit.com',
+  'np.reddit.com': 'reddit.com',
+  'm.reddit.com': 'reddit.com',
+  'm.youtube.com': 'youtube.com',
+  'music.youtube.com': 'youtube.com',
+  'm.facebook.com': 'facebook.com',
+  'mbasic.facebook.com': 'facebook.com',
+  'web.facebook.com': 'facebook.com',
+  'mobile.facebook.com': 'facebook.com',
+};
+
+function isTrackingParam(host, key) {
+  if (TRACKING_PARAM_PATTERNS.some(pattern => pattern.test(key))) return true;
+  const hostParams = HOST_TRACKING_PARAMS[host];
+  return Boolean(hostParams && hostParams.includes(key.toLowerCase()));
+}
+
+/**
+ * Canonicalise a post link so the same post always yields the same string
+ * Lowercases the host, drops "www.", maps mobile hosts to the main one, removes the fragment,
+ * tracking parameters and a trailing slash, and sorts the remaining query parameters.
+ * youtu.be short links become youtube.com/watch links. Unparseable links are returned trimmed.
+ * @param {string} link - Link as received from KWatch
+ * @returns {string} Canonical link
+ */
+function canonicalizeLink(link) {
+  const raw = String(link || '').trim();
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (err) {
+    return raw;
+  }
+
+  url.hash = '';
+  url.protocol = url.protocol === 'http:' ? 'https:' : url.protocol;
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  url.hostname = HOST_ALIASES[host] || host;
+
+  if (url.hostname === 'youtu.be' && url.pathname.length > 1) {
+    const videoId = url.pathname.slice(1).split('/')[0];
+    url.hostname = 'youtube.com';
+    url.pathname = '/watch';
+    url.searchParams.set('v', videoId);
+  }
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([key]) => !isTrackingParam(url.hostname, key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = '';
+  params.forEach(([key, value]) => url.searchParams.append(key, value));
+
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  return url.toString();
+}
+
+module.exports = {
+  canonicalizeLink,
+};
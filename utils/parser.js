@@ -2,51 +2,314 @@
 
 // Parser and evaluator for the Brand Query Classification Engine
 // The module exports:
-//  - parseRule(query: string) -> AST
-//  - evaluateRule(ast, text: string) -> { matched: boolean, spans: Array<[number, number]> }
+//  - parseRule(query: string) -> AST (operators: OR, AND, NOT, NEAR/n, ONEAR/n, NOT NEAR/n, NOT ONEAR/n; terms: word, "phrase", wild*card, sy?c, /regex/, case:Exact); throws an error with code "QUERY_PARSE_ERROR" and line/column/snippet
+//  - evaluateRule(ast, input: string | { title, content, author, platform, link }) -> { matched: boolean, spans: Array<[number, number]> }
+//  - prepareDocument(input) -> tokenized document; evaluateDocument(ast, doc) -> same as evaluateRule
 //  - classifyBrandRules(rules: Record<string, string>, text: string) -> Array<{ brand, matched, spans }>
+//  - describePosition(query: string, offset: number) -> { offset, line, column, snippet }
+//  - tokenizeWithOffsets(text: string) -> Array<{ token, start, end }> (folded Unicode words, character offsets into text)
+//  - spansToHighlights(spans, tokens, text: string) -> Array<{ start, end, text }>
 
 // Article Helpers
+
+// Diacritics removed after NFD decomposition: Latin, Greek and Cyrillic accents, Hebrew points,
+// Arabic vowel marks and the Arabic tatweel
+const DIACRITICS = /[\u0300-\u036f\u0591-\u05bd\u05bf\u05c1\u05c2\u05c4\u05c5\u05c7\u0610-\u061a\u0640\u064b-\u065f\u0670]/g;
+// Case folding beyond toLowerCase: German sharp s, Turkish dotless i (dotted İ already lowercases to
+// i plus a dot that is stripped above) and Greek final sigma, so every spelling matches every other.
+// Folding is the same for every language on purpose: posts carry no reliable language, and Turkish
+// rules (toLocaleLowerCase("tr")) would turn the I of an English INSTAGRAM into ı. Mapping I, İ, ı
+// and i together covers the Turkish spellings without that risk.
+const FOLDS = { "ß": "ss", "ı": "i", "ς": "σ" };
+
+// Lowercase one character and strip its diacritics; may return "" (a lone mark) or several characters (ß)
+// Letters and digits also lose compatibility forms (fullwidth Ｓ, bold 𝐒, ligatures); symbols keep
+// theirs, so ™ does not turn into the letters tm
+function foldChar(ch) {
+  const form = /[\p{L}\p{N}]/u.test(ch) ? "NFKD" : "NFD";
+  return ch.normalize(form).toLowerCase().replace(DIACRITICS, "").replace(/[ßıς]/g, c => FOLDS[c]);
+}
+
+// Characters kept in tokens (letters, digits and marks of any script); everything else separates tokens
+const TOKEN_CHAR = /[\p{L}\p{N}\p{M}@#]/u;
+// Wildcards, kept in query phrases
+const WILDCARD_CHAR = /[*?]/;
+
 function normalizeText(text) {
   if (!text) return "";
-  const lower = text.toLowerCase();
-  // Remove diacritics via NFD decomposition.
-  const stripped = lower.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-  // Replace punctuation with spaces but keep alphanumerics together. Preserve @ and # when they prefix a word (for mentions and hashtags).
-  const cleaned = stripped.replace(/[^a-z0-9@#\s]+/g, " ");
-  return cleaned.replace(/\s+/g, " ").trim();
+  let folded = "";
+  for (const ch of String(text)) folded += foldChar(ch);
+  // Replace punctuation with spaces but keep letters and digits together. Preserve @ and # when they prefix a word (for mentions and hashtags).
+  return folded.replace(/[^\p{L}\p{N}\p{M}@#\s]+/gu, " ").replace(/\s+/g, " ").trim();
 }
 
-function tokenizeArticle(text) {
-  const normalized = normalizeText(text);
-  if (!normalized) return [];
-  // Split and clean up any standalone @ or # symbols (keep only when prefixing a word)
-  return normalized.split(" ").map(token => {
-    // Remove @ or # if they appear alone or at the end of a token
-    if (token === '@' || token === '#') return '';
-    // Keep @ or # only if it's at the start and followed by alphanumeric
-    if ((token.startsWith('@') || token.startsWith('#')) && token.length > 1) {
-      return token;
+// Scripts written without spaces between words; runs of them are split with Intl.Segmenter
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const wordSegmenter = typeof Intl.Segmenter === "function" ? new Intl.Segmenter(undefined, { granularity: "word" }) : null;
+
+// Split a raw token with unspaced script into its words; charEnds[i] is the source end of value[i]
+// and wide is set when the token has non-ASCII characters
+// Phrase words with wildcards are left whole, as the segmenter would drop the * and ?
+function segmentToken(token) {
+  const { value, start, charEnds } = token;
+  if (!token.wide || !wordSegmenter || !UNSPACED_SCRIPT.test(value) || WILDCARD_CHAR.test(value)) return [token];
+  // A leading @ or # stays on the first word
+  const marker = /^[@#]/.test(value) ? 1 : 0;
+  const parts = [];
+  for (const { segment, index, isWordLike } of wordSegmenter.segment(value.slice(marker))) {
+    if (!isWordLike) continue;
+    const from = index + marker;
+    const to = from + segment.length;
+    const withMarker = marker && parts.length === 0 && from === marker;
+    parts.push({
+      value: withMarker ? value.slice(0, to) : segment,
+      start: withMarker || from === 0 ? start : charEnds[from - 1],
+      charEnds: charEnds.slice(withMarker ? 0 : from, to),
+    });
+  }
+  return parts;
+}
+
+// Token characters among ASCII: 1 for [a-z0-9@#], 2 for the wildcards * and ?
+const ASCII_KIND = new Uint8Array(128);
+for (const ch of "abcdefghijklmnopqrstuvwxyz0123456789@#") ASCII_KIND[ch.charCodeAt(0)] = 1;
+ASCII_KIND[42] = 2; // *
+ASCII_KIND[63] = 2; // ?
+
+// foldChar is slow (normalize per character), and posts reuse few distinct non-ASCII characters
+const FOLD_CACHE_LIMIT = 10000;
+const foldCache = new Map();
+function cachedFoldChar(ch) {
+  let folded = foldCache.get(ch);
+  if (folded === undefined) {
+    if (foldCache.size >= FOLD_CACHE_LIMIT) foldCache.clear();
+    folded = foldChar(ch);
+    foldCache.set(ch, folded);
+  }
+  return folded;
+}
+
+// Per-character form of normalizeText: fold one source character at a time, so every token keeps
+// the offsets of the characters it came from. ASCII, most of a typical post, skips foldChar.
+function tokenizeWithOffsets(text, keepWildcards = false) {
+  const source = String(text || "");
+  const raw = [];
+  let current = null;
+
+  for (let offset = 0; offset < source.length;) {
+    const code = source.charCodeAt(offset);
+    if (code < 128) {
+      const lower = code >= 65 && code <= 90 ? code + 32 : code;
+      const kind = ASCII_KIND[lower];
+      if (kind === 1 || (kind === 2 && keepWildcards)) {
+        if (!current) current = { value: "", start: offset, charEnds: [], wide: false };
+        current.value += String.fromCharCode(lower);
+        current.charEnds.push(offset + 1);
+      } else if (current) {
+        raw.push(current);
+        current = null;
+      }
+      offset += 1;
+      continue;
+    }
+
+    const ch = String.fromCodePoint(source.codePointAt(offset));
+    const end = offset + ch.length;
+    const folded = cachedFoldChar(ch);
+    if (folded === "") {
+      // Combining mark on its own: belongs to the token it follows
+      if (current) current.charEnds[current.charEnds.length - 1] = end;
+    }
+    for (const f of folded) {
+      if (TOKEN_CHAR.test(f) || (keepWildcards && WILDCARD_CHAR.test(f))) {
+        if (!current) current = { value: "", start: offset, charEnds: [], wide: false };
+        current.value += f;
+        current.wide = true;
+        // One entry per UTF-16 unit, so charEnds lines up with string indexes into value
+        for (let unit = 0; unit < f.length; unit += 1) current.charEnds.push(end);
+      } else if (current) {
+        raw.push(current);
+        current = null;
+      }
+    }
+    offset = end;
+  }
+  if (current) raw.push(current);
+
+  // Same @ and # handling as tokenizeArticle
+  const tokens = [];
+  raw.flatMap(segmentToken).forEach(({ value, start, charEnds }) => {
+    if (value === "@" || value === "#") return;
+    if ((value.startsWith("@") || value.startsWith("#")) && value.length > 1) {
+      tokens.push({ token: value, start, end: charEnds[charEnds.length - 1] });
+      return;
+    }
+    const token = value.replace(/[@#]+$/, "");
+    if (token.length > 0) {
+      tokens.push({ token, start, end: charEnds[token.length - 1] });
     }
-    // Remove any trailing @ or #
-    return token.replace(/[@#]+$/, '');
-  }).filter(t => t.length > 0);
+  });
+  return tokens;
+}
+
+function tokenizeArticle(text) {
+  return tokenizeWithOffsets(text).map(t => t.token);
+}
+
+// Map token spans [start, end) to character ranges and the matched source text
+function spansToHighlights(spans, tokens, text) {
+  return spans.map(([start, end]) => {
+    const charStart = tokens[start].start;
+    const charEnd = tokens[end - 1].end;
+    return { start: charStart, end: charEnd, text: String(text).slice(charStart, charEnd) };
+  });
 }
 
 function tokenizePhrase(phrase) {
-  const normalized = normalizeText(phrase);
-  if (!normalized) return [];
-  // Split and clean up any standalone @ or # symbols
-  return normalized.split(" ").map(token => {
-    if (token === '@' || token === '#') return '';
-    if ((token.startsWith('@') || token.startsWith('#')) && token.length > 1) {
-      return token;
-    }
-    return token.replace(/[@#]+$/, '');
-  }).filter(t => t.length > 0);
+  return tokenizeArticle(phrase);
 }
 
 // Query Helpers
+
+// Field scopes, written as title:term, title:"phrase" or title:(group)
+const SCOPE_FIELDS = ["title", "content", "author", "platform", "link"];
+// Scopes that are part of the classified text
+const TEXT_SCOPES = ["title", "content"];
+const SCOPE_PATTERN = new RegExp(`^(${SCOPE_FIELDS.join("|")}):`, "i");
+// case:GRAVITY and case:"T-2 Nail" match the original casing, diacritics and punctuation
+const CASE_PATTERN = /^case:/i;
+// wild:"salvation beam*" makes * and ? in phrase words wildcards; in a plain phrase they are punctuation
+const WILD_PATTERN = /^wild:/i;
+
+// Word patterns: * is any number of characters, ? exactly one, e.g. *fix, syn*fix, implant?
+// Literal parts are normalized like words, so the pattern holds no regex syntax besides the wildcards
+function globToRegExp(glob) {
+  const source = glob.replace(/\*+/g, "*").split(/([*?])/).map(part => {
+    if (part === "*") return ".*";
+    if (part === "?") return ".";
+    return normalizeText(part);
+  }).join("");
+  return new RegExp(`^${source}$`, "u");
+}
+
+// Normalized pattern text, e.g. "Syn*Fix" -> "syn*fix"
+function normalizeGlob(raw) {
+  return raw.split(/([*?])/).map(part => (WILDCARD_CHAR.test(part) ? part : normalizeText(part))).join("");
+}
+
+// Limits for /regex/ terms, which run against every word of a post
+const REGEX_MAX_LENGTH = 64;
+const REGEX_MAX_REPEAT = 20; // Largest n in {m,n}
+const REGEX_MAX_UNBOUNDED = 3; // Most *, + and {m,} per pattern
+const REGEX_MAX_WORD_LENGTH = 100; // Longer words never match a regex term
+
+// Words are folded before matching, so a regex character that folding changes (é, ß, ｓ) could never match
+function unfoldedCharReason(text) {
+  for (const ch of text) {
+    const folded = foldChar(ch);
+    if (folded !== ch) {
+      return folded
+        ? `/regex/ terms match folded words: write "${folded}" instead of "${ch}"`
+        : `/regex/ terms match folded words, which have no "${ch}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a /regex/ term stays in the supported subset, so it cannot backtrack badly:
+ * letters, digits, @, #, ".", classes like [a-z] or [^0-9], groups and "|"; repetition (*, +, {m,n})
+ * only on a single character, "." or class, and groups may only be made optional with "?"
+ * Letters must already be in folded form (cafe, not café)
+ * @returns {string|null} Reason the pattern is rejected, or null if it is fine
+ */
+function checkRegexSource(source) {
+  if (source.length === 0) return "Empty /regex/ term";
+  if (source.length > REGEX_MAX_LENGTH) return `/regex/ terms are limited to ${REGEX_MAX_LENGTH} characters`;
+
+  let depth = 0;
+  let lastAtom = null; // "single" (char, dot or class), "group" or null (nothing to quantify)
+  let unbounded = 0;
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (/[\p{L}\p{N}\p{M}@#.]/u.test(ch)) {
+      const unfolded = unfoldedCharReason(ch);
+      if (unfolded) return unfolded;
+      lastAtom = "single";
+    } else if (ch === "[") {
+      const close = source.indexOf("]", i + 1);
+      if (close === -1) return "Unterminated [ in /regex/ term";
+      if (!/^\^?[\p{L}\p{N}\p{M}@#-]+$/u.test(source.slice(i + 1, close))) return "Character classes may only hold letters, digits, @, # and ranges";
+      const unfolded = unfoldedCharReason(source.slice(i + 1, close));
+      if (unfolded) return unfolded;
+      i = close;
+      lastAtom = "single";
+    } else if (ch === "(") {
+      if (source[i + 1] === "?") return "(? groups are not supported in /regex/ terms";
+      depth += 1;
+      lastAtom = null;
+    } else if (ch === ")") {
+      if (depth === 0) return "Unbalanced ) in /regex/ term";
+      depth -= 1;
+      lastAtom = "group";
+    } else if (ch === "|") {
+      lastAtom = null;
+    } else if (ch === "*" || ch === "+" || ch === "?" || ch === "{") {
+      if (!lastAtom) return `Nothing to repeat before "${ch}" in /regex/ term`;
+      let bounded = ch === "?";
+      if (ch === "{") {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+        if (!match) return "Invalid {m,n} in /regex/ term";
+        const max = match[2] === undefined ? Number(match[1]) : (match[3] === "" ? Infinity : Number(match[3]));
+        if (max !== Infinity && max > REGEX_MAX_REPEAT) return `{m,n} is limited to ${REGEX_MAX_REPEAT} repetitions`;
+        bounded = max !== Infinity;
+        i += match[0].length - 1;
+      }
+      if (lastAtom === "group" && ch !== "?") return "Groups can only be made optional with ? in /regex/ terms";
+      if (!bounded) unbounded += 1;
+      if (unbounded > REGEX_MAX_UNBOUNDED) return `At most ${REGEX_MAX_UNBOUNDED} of *, + and {m,} are allowed in a /regex/ term`;
+      lastAtom = null;
+    } else {
+      return `Unsupported character "${ch}" in /regex/ term`;
+    }
+  }
+  if (depth !== 0) return "Unbalanced ( in /regex/ term";
+  return null;
+}
+
+// Line and column (both 1-based) of a character offset, and up to 20 characters either side of it on its line
+function describePosition(query, offset) {
+  const before = query.slice(0, offset);
+  const lineStart = before.lastIndexOf("\n") + 1;
+  const nextBreak = query.indexOf("\n", offset);
+  const lineEnd = nextBreak === -1 ? query.length : nextBreak;
+  return {
+    offset,
+    line: before.split("\n").length,
+    column: offset - lineStart + 1,
+    snippet: query.slice(Math.max(lineStart, offset - 20), Math.min(lineEnd, offset + 20)),
+  };
+}
+
+// Parse errors carry where in the query they happened
+function queryParseError(reason, query, offset) {
+  const position = describePosition(query, offset);
+  const err = new Error(`${reason} at line ${position.line}, column ${position.column}`);
+  err.code = "QUERY_PARSE_ERROR";
+  err.reason = reason;
+  Object.assign(err, position);
+  return err;
+}
+
+// Prefix at the start of a term: { length, field } for scopes, { length, type } for case: and wild:
+function matchPrefix(text) {
+  const scope = SCOPE_PATTERN.exec(text);
+  if (scope) return { length: scope[0].length, field: scope[1].toLowerCase() };
+  const mode = CASE_PATTERN.exec(text) || WILD_PATTERN.exec(text);
+  if (mode) return { length: mode[0].length, type: mode[0].slice(0, -1).toUpperCase() };
+  return null;
+}
+
 function tokenizeQuery(query) {
   const tokens = [];
   let i = 0;
@@ -56,13 +319,14 @@ function tokenizeQuery(query) {
       i += 1;
       continue;
     }
+    const start = i;
     if (ch === "(") {
-      tokens.push({ type: "LPAREN" });
+      tokens.push({ type: "LPAREN", start, end: i + 1 });
       i += 1;
       continue;
     }
     if (ch === ")") {
-      tokens.push({ type: "RPAREN" });
+      tokens.push({ type: "RPAREN", start, end: i + 1 });
       i += 1;
       continue;
     }
@@ -75,10 +339,34 @@ function tokenizeQuery(query) {
         i += 1;
       }
       if (i >= query.length) {
-        throw new Error("Unterminated quoted phrase in query");
+        throw queryParseError("Unterminated quoted phrase in query", query, start);
       }
       i += 1; // skip closing quote
-      tokens.push({ type: "PHRASE", value: buf });
+      tokens.push({ type: "PHRASE", value: buf, start, end: i });
+      continue;
+    }
+    // /regex/ term; a bare /n belongs to the two-token NEAR /n form
+    if (ch === "/" && !/^\/\d+(?=[\s()"']|$)/.test(query.slice(i))) {
+      const close = query.indexOf("/", i + 1);
+      if (close === -1) {
+        throw queryParseError("Unterminated /regex/ term", query, start);
+      }
+      const source = query.slice(i + 1, close).toLowerCase();
+      const reason = checkRegexSource(source);
+      if (reason) throw queryParseError(reason, query, start);
+      // The checks allow some sources the RegExp constructor still rejects, e.g. [z-a] or a{2,1}
+      let regex;
+      try {
+        regex = new RegExp(`^(?:${source})$`, "u");
+      } catch (err) {
+        const detail = err.message.slice(err.message.lastIndexOf(": ") + 2);
+        throw queryParseError(`Invalid /regex/ term: ${detail}`, query, start);
+      }
+      i = close + 1;
+      if (i < query.length && !/[\s()]/.test(query[i])) {
+        throw queryParseError("/regex/ term must be followed by a space or parenthesis", query, i);
+      }
+      tokens.push({ type: "REGEX", value: source, regex, start, end: i });
       continue;
     }
     // Parse bare token until whitespace, paren, or quote (to handle "phrase"OR cases).
@@ -88,29 +376,48 @@ function tokenizeQuery(query) {
       i += 1;
     }
     if (buf.length === 0) continue; // Skip empty tokens
+    // Prefixes (title:, case:, wild:, title:case:) become their own tokens, followed by the rest as a term
+    let prefixEnd = start;
+    let prefix;
+    while ((prefix = matchPrefix(buf.slice(prefixEnd - start)))) {
+      const end = prefixEnd + prefix.length;
+      tokens.push(prefix.field
+        ? { type: "SCOPE", field: prefix.field, start: prefixEnd, end }
+        : { type: prefix.type, start: prefixEnd, end });
+      prefixEnd = end;
+    }
+    if (prefixEnd > start) {
+      if (prefixEnd < i) tokens.push({ type: "TERM", value: buf.slice(prefixEnd - start), start: prefixEnd, end: i });
+      continue;
+    }
     const upper = buf.toUpperCase();
+    const position = { start, end: i };
     if (upper === "AND" || upper === "OR") {
-      tokens.push({ type: upper });
+      tokens.push({ type: upper, ...position });
     } else if (upper === "NOT") {
-      tokens.push({ type: "NOT" });
-    } else if (/^NEAR\/\d+$/i.test(buf)) {
+      tokens.push({ type: "NOT", ...position });
+    } else if (/^O?NEAR\/\d+$/i.test(buf)) {
+      // ONEAR/n is the ordered form: the left operand must come first
       const distance = parseInt(buf.split("/")[1], 10);
-      tokens.push({ type: "NEAR", distance });
-    } else if (upper === "NEAR") {
+      tokens.push({ type: "NEAR", distance, ordered: upper.startsWith("O"), ...position });
+    } else if (upper === "NEAR" || upper === "ONEAR") {
       // Support two-token form: NEAR /n
       // Peek ahead for /n in the raw string from the tokenizer position (already consumed current token).
       // Here we just mark NEAR; parser will read following token if in that form.
-      tokens.push({ type: "NEAR_WORD" });
+      tokens.push({ type: "NEAR_WORD", ordered: upper === "ONEAR", ...position });
     } else {
-      tokens.push({ type: "TERM", value: buf });
+      tokens.push({ type: "TERM", value: buf, ...position });
     }
   }
   return tokens;
 }
 
 // Parser (recursive descent with precedence)
+const TOKEN_LABELS = { RPAREN: "\")\"" };
+
 function parseRule(query) {
-  const tokens = tokenizeQuery(query || "");
+  const source = query || "";
+  const tokens = tokenizeQuery(source);
   let pos = 0;
 
   function peek() {
@@ -121,10 +428,19 @@ function parseRule(query) {
     return tokens[pos++];
   }
 
+  // Source text of a token, for error messages
+  function describe(tok) {
+    return tok ? `"${source.slice(tok.start, tok.end)}"` : "end of query";
+  }
+
+  function fail(reason, tok) {
+    return queryParseError(reason, source, tok ? tok.start : source.length);
+  }
+
   function expect(type) {
     const tok = consume();
     if (!tok || tok.type !== type) {
-      throw new Error(`Expected ${type} but found ${tok ? tok.type : "EOF"}`);
+      throw fail(`Expected ${TOKEN_LABELS[type] || type} but found ${describe(tok)}`, tok);
     }
     return tok;
   }
@@ -140,37 +456,119 @@ function parseRule(query) {
     }
     if (tok.type === "PHRASE") {
       consume();
-      const phraseTokens = tokenizePhrase(tok.value);
-      return { type: "PHRASE", tokens: phraseTokens };
+      return { type: "PHRASE", tokens: tokenizePhrase(tok.value), start: tok.start };
+    }
+    if (tok.type === "REGEX") {
+      consume();
+      return { type: "REGEX", source: tok.value, regex: tok.regex, start: tok.start };
+    }
+    if (tok.type === "SCOPE") {
+      consume();
+      const child = parsePrimary();
+      if (!child) throw fail(`${tok.field}: must be followed by a term, phrase or group`, tok);
+      return { type: "SCOPE", field: tok.field, child, start: tok.start };
+    }
+    if (tok.type === "CASE") {
+      consume();
+      const next = peek();
+      if (!next || (next.type !== "TERM" && next.type !== "PHRASE")) {
+        throw fail("case: must be followed by a term or phrase", tok);
+      }
+      if (WILDCARD_CHAR.test(next.value)) throw fail("case: terms cannot contain wildcards", next);
+      consume();
+      // Punctuation between the words must match too; punctuation around them is ignored
+      const words = tokenizeWithOffsets(next.value);
+      const text = words.length > 0 ? next.value.slice(words[0].start, words[words.length - 1].end) : "";
+      return {
+        type: "EXACT",
+        text: text.replace(/\s+/g, " ").normalize("NFC"),
+        tokens: words.map(w => w.token),
+        start: tok.start,
+      };
+    }
+    if (tok.type === "WILD") {
+      consume();
+      const next = peek();
+      if (!next || next.type !== "PHRASE") throw fail("wild: must be followed by a phrase", tok);
+      consume();
+      // Words with * or ? match as patterns
+      const phraseTokens = tokenizeWithOffsets(next.value, true).map(t => t.token);
+      const node = { type: "PHRASE", tokens: phraseTokens, start: tok.start };
+      if (phraseTokens.some(word => WILDCARD_CHAR.test(word))) {
+        node.patterns = phraseTokens.map(word => (WILDCARD_CHAR.test(word) ? globToRegExp(word) : null));
+      }
+      return node;
     }
     if (tok.type === "TERM") {
       consume();
       const raw = tok.value;
-      if (raw.endsWith("*")) {
-        const prefix = normalizeText(raw.slice(0, -1));
-        return { type: "WILDCARD", prefix };
+      if (/^[^*?]*\*+$/.test(raw)) {
+        const prefix = normalizeText(raw.replace(/\*+$/, ""));
+        return { type: "WILDCARD", prefix, start: tok.start };
+      }
+      if (WILDCARD_CHAR.test(raw)) {
+        const pattern = normalizeGlob(raw);
+        return { type: "PATTERN", pattern, regex: globToRegExp(pattern), start: tok.start };
       }
-      return { type: "TERM", value: normalizeText(raw) };
+      // A term that Intl.Segmenter splits into several words (Chinese or Thai text) matches them as a phrase.
+      // Terms with punctuation inside (t-2, super_stryker) stay one term that never matches a word, as
+      // before; quote them to match the words
+      const words = tokenizeWithOffsets(raw);
+      const segmented = words.length > 1 && words.every((w, idx) => idx === 0 || w.start === words[idx - 1].end);
+      if (segmented) return { type: "PHRASE", tokens: words.map(w => w.token), start: tok.start };
+      return { type: "TERM", value: words.length === 1 ? words[0].token : normalizeText(raw), start: tok.start };
     }
     return null;
   }
 
+  function isNearToken(tok) {
+    return Boolean(tok) && (tok.type === "NEAR" || tok.type === "NEAR_WORD");
+  }
+
+  // Operator name as written, e.g. NEAR/3 or ONEAR/5
+  function nearLabel(ordered, distance) {
+    return `${ordered ? "ONEAR" : "NEAR"}/${distance}`;
+  }
+
+  // NEAR needs positions in the text: a NOT has none (and would exclude for the whole query),
+  // and neither do matches in author, platform or link
+  function assertNearOperand(operand, tok, label) {
+    if (!operand) return;
+    if (operand.type === "NOT") {
+      throw fail(`NOT is not supported inside a ${label} operand; use NOT ${label} or move the NOT outside`, tok);
+    }
+    if (operand.type === "SCOPE" && !TEXT_SCOPES.includes(operand.field)) {
+      throw fail(`${operand.field}: has no text positions and cannot be used with ${label}`, tok);
+    }
+    assertNearOperand(operand.child, tok, label);
+    assertNearOperand(operand.left, tok, label);
+    assertNearOperand(operand.right, tok, label);
+  }
+
   function parseUnary() {
     const tok = peek();
     if (tok && tok.type === "NOT") {
       consume();
+      if (isNearToken(peek())) throw fail("NOT NEAR must have left operand", tok);
       const child = parseUnary();
-      if (!child) throw new Error("NOT must be followed by an expression");
-      return { type: "NOT", child };
+      if (!child) throw fail("NOT must be followed by an expression", tok);
+      return { type: "NOT", child, start: tok.start };
     }
     return parsePrimary();
   }
 
+  // a NEAR/n b, a ONEAR/n b, and the negated forms a NOT NEAR/n b and a NOT ONEAR/n b
   function parseNear() {
     let node = parseUnary();
     while (true) {
-      const tok = peek();
-      if (tok && (tok.type === "NEAR" || tok.type === "NEAR_WORD")) {
+      let tok = peek();
+      let negated = false;
+      if (node && tok && tok.type === "NOT" && isNearToken(tokens[pos + 1])) {
+        consume();
+        negated = true;
+        tok = peek();
+      }
+      if (isNearToken(tok)) {
         consume();
         let distance = tok.distance;
         if (tok.type === "NEAR_WORD") {
@@ -183,9 +581,15 @@ function parseRule(query) {
             distance = 9;
           }
         }
+        const label = nearLabel(tok.ordered, distance);
         const right = parseUnary();
-        if (!right) throw new Error("NEAR must have right operand");
-        node = { type: "NEAR", distance, left: node, right };
+        if (!right) throw fail(`${negated ? "NOT " : ""}${label.split("/")[0]} must have right operand`, tok);
+        if (!node) throw fail(`${negated ? "NOT " : ""}${label.split("/")[0]} must have left operand`, tok);
+        assertNearOperand(node, tok, label);
+        assertNearOperand(right, tok, label);
+        node = {
+          type: negated ? "NOT_NEAR" : "NEAR", distance, ordered: tok.ordered, left: node, right, start: tok.start,
+        };
         continue;
       }
       break;
@@ -201,8 +605,8 @@ function parseRule(query) {
         if (tok.type === "AND") consume();
         // Implicit AND before NOT supports queries like "A AND B NOT C".
         const right = parseNear();
-        if (!right) throw new Error("AND must have right operand");
-        node = { type: "AND", left: node, right };
+        if (!right) throw fail("AND must have right operand", tok);
+        node = { type: "AND", left: node, right, start: tok.start };
         continue;
       }
       break;
@@ -217,8 +621,8 @@ function parseRule(query) {
       if (tok && tok.type === "OR") {
         consume();
         const right = parseAnd();
-        if (!right) throw new Error("OR must have right operand");
-        node = { type: "OR", left: node, right };
+        if (!right) throw fail("OR must have right operand", tok);
+        node = { type: "OR", left: node, right, start: tok.start };
         continue;
       }
       break;
@@ -228,7 +632,7 @@ function parseRule(query) {
 
   const ast = parseOr();
   if (pos !== tokens.length) {
-    throw new Error("Unexpected tokens remaining in query");
+    throw fail(`Unexpected ${describe(peek())}`, peek());
   }
   return ast;
 }
@@ -258,6 +662,7 @@ function matchWildcard(prefix, tokens) {
   const startsWithSpecial = prefix.startsWith('@') || prefix.startsWith('#');
   
   tokens.forEach((tok, idx) => {
+    if (tok === null) return; // Masked out by a scope
     if (startsWithSpecial) {
       // Wildcard has @ or # - require prefix to match exactly
       if (tok.startsWith(prefix)) spans.push([idx, idx + 1]);
@@ -274,12 +679,40 @@ function matchWildcard(prefix, tokens) {
   return spans;
 }
 
-function matchPhrase(phraseTokens, tokens) {
+// Whether a text word matches a word pattern; as with terms, a pattern without @ or # also
+// matches the word behind an @ or #
+function patternMatches(regex, withMarker, textToken) {
+  if (textToken === null || textToken.length > REGEX_MAX_WORD_LENGTH) return false;
+  if (regex.test(textToken)) return true;
+  return !withMarker && /^[@#]/.test(textToken) && regex.test(textToken.slice(1));
+}
+
+function matchPattern(regex, withMarker, tokens) {
+  const spans = [];
+  tokens.forEach((tok, idx) => {
+    if (patternMatches(regex, withMarker, tok)) spans.push([idx, idx + 1]);
+  });
+  return spans;
+}
+
+// Phrase matches whose original text, from the first to the last word, is exactly the given text;
+// as with terms, text without @ or # also matches the word behind an @ or #
+function matchExact(node, tokens, doc) {
+  return matchPhrase(node.tokens, tokens).filter(([first, last]) => {
+    let start = doc.tokens[first].start;
+    if (!/^[@#]/.test(node.text) && /^[@#]/.test(doc.tokens[first].token)) start += 1;
+    const original = doc.text.slice(start, doc.tokens[last - 1].end);
+    return original.replace(/\s+/g, " ").normalize("NFC") === node.text;
+  });
+}
+
+function matchPhrase(phraseTokens, tokens, patterns = null) {
   if (phraseTokens.length === 0) return [];
   const spans = [];
   
   // Helper to check if a single phrase token matches a text token
-  function tokenMatches(phraseToken, textToken) {
+  function tokenMatches(phraseToken, textToken, pattern) {
+    if (pattern) return patternMatches(pattern, /^[@#]/.test(phraseToken), textToken);
     const startsWithPrefix = phraseToken.startsWith('@') || phraseToken.startsWith('#');
     if (startsWithPrefix) {
       return textToken === phraseToken;
@@ -293,7 +726,7 @@ function matchPhrase(phraseTokens, tokens) {
   for (let i = 0; i <= tokens.length - phraseTokens.length; i += 1) {
     let ok = true;
     for (let j = 0; j < phraseTokens.length; j += 1) {
-      if (!tokenMatches(phraseTokens[j], tokens[i + j])) {
+      if (!tokenMatches(phraseTokens[j], tokens[i + j], patterns && patterns[j])) {
         ok = false;
         break;
       }
@@ -311,10 +744,12 @@ function spanDistance(a, b) {
   return 0; // overlapping
 }
 
-function combineNearSpans(leftSpans, rightSpans, distance) {
+// Pairs of spans at most `distance` tokens apart; when ordered, the left span must end before the right one starts
+function combineNearSpans(leftSpans, rightSpans, distance, ordered = false) {
   const combined = [];
   leftSpans.forEach((ls) => {
     rightSpans.forEach((rs) => {
+      if (ordered && ls[1] > rs[0]) return;
       const d = spanDistance(ls, rs);
       if (d <= distance) {
         combined.push([Math.min(ls[0], rs[0]), Math.max(ls[1], rs[1])]);
@@ -324,8 +759,52 @@ function combineNearSpans(leftSpans, rightSpans, distance) {
   return combined;
 }
 
+// Documents
+// Unscoped terms match the document text, `${title} ${content}` for documents. title: and content:
+// match the same tokens with the other part masked out, so spans stay positions in the text.
+
+/**
+ * Tokenize a text or document once for evaluation against many rules
+ * @param {string|Object} input - Text, or { title, content, author, platform, link }
+ * @returns {Object} { text, tokens (with offsets), words, ... }
+ */
+function prepareDocument(input) {
+  if (input && typeof input === "object") {
+    const title = String(input.title || "");
+    const text = `${title} ${input.content || ""}`;
+    const tokens = tokenizeWithOffsets(text);
+    return {
+      text,
+      tokens,
+      words: tokens.map(t => t.token),
+      titleTokenCount: tokens.filter(t => t.start < title.length).length,
+      fields: { author: input.author, platform: input.platform, link: input.link },
+      scoped: {},
+    };
+  }
+  const text = String(input || "");
+  const tokens = tokenizeWithOffsets(text);
+  return { text, tokens, words: tokens.map(t => t.token), titleTokenCount: 0, fields: {}, scoped: {} };
+}
+
+// Words a scope matches against and the document they index into, built on first use
+// title: and content: mask the other part of the text with null; other fields are documents of their own
+function scopedView(doc, field) {
+  if (!doc.scoped[field]) {
+    if (TEXT_SCOPES.includes(field)) {
+      const inTitle = field === "title";
+      const words = doc.words.map((word, idx) => ((idx < doc.titleTokenCount) === inTitle ? word : null));
+      doc.scoped[field] = { words, doc };
+    } else {
+      const fieldDoc = prepareDocument(doc.fields[field] ? String(doc.fields[field]) : "");
+      doc.scoped[field] = { words: fieldDoc.words, doc: fieldDoc };
+    }
+  }
+  return doc.scoped[field];
+}
+
 // Evaluation
-function evaluatePositive(node, tokens) {
+function evaluatePositive(node, tokens, doc) {
   if (!node) return { matched: true, spans: [], hasPositive: false };
   switch (node.type) {
     case "TERM": {
@@ -337,17 +816,29 @@ function evaluatePositive(node, tokens) {
       return { matched: spans.length > 0, spans, hasPositive: true };
     }
     case "PHRASE": {
-      const spans = matchPhrase(node.tokens, tokens);
+      const spans = matchPhrase(node.tokens, tokens, node.patterns);
+      return { matched: spans.length > 0, spans, hasPositive: true };
+    }
+    case "EXACT": {
+      const spans = matchExact(node, tokens, doc);
+      return { matched: spans.length > 0, spans, hasPositive: true };
+    }
+    case "PATTERN": {
+      const spans = matchPattern(node.regex, /^[@#]/.test(node.pattern), tokens);
+      return { matched: spans.length > 0, spans, hasPositive: true };
+    }
+    case "REGEX": {
+      const spans = matchPattern(node.regex, false, tokens);
       return { matched: spans.length > 0, spans, hasPositive: true };
     }
     case "NOT": {
       // NOT is not a positive contributor; treat as neutral true for conjunctions.
-      const child = evaluatePositive(node.child, tokens);
+      const child = evaluatePositive(node.child, tokens, doc);
       return { matched: true, spans: [], hasPositive: child.hasPositive }; // hasPositive propagates for detection
     }
     case "AND": {
-      const left = evaluatePositive(node.left, tokens);
-      const right = evaluatePositive(node.right, tokens);
+      const left = evaluatePositive(node.left, tokens, doc);
+      const right = evaluatePositive(node.right, tokens, doc);
       return {
         matched: left.matched && right.matched,
         spans: [...left.spans, ...right.spans],
@@ -355,8 +846,8 @@ function evaluatePositive(node, tokens) {
       };
     }
     case "OR": {
-      const left = evaluatePositive(node.left, tokens);
-      const right = evaluatePositive(node.right, tokens);
+      const left = evaluatePositive(node.left, tokens, doc);
+      const right = evaluatePositive(node.right, tokens, doc);
       const matched = left.matched || right.matched;
       const spans = [];
       if (left.matched) spans.push(...left.spans);
@@ -364,10 +855,10 @@ function evaluatePositive(node, tokens) {
       return { matched, spans, hasPositive: left.hasPositive || right.hasPositive };
     }
     case "NEAR": {
-      const left = evaluatePositive(node.left, tokens);
-      const right = evaluatePositive(node.right, tokens);
+      const left = evaluatePositive(node.left, tokens, doc);
+      const right = evaluatePositive(node.right, tokens, doc);
       const spans = (left.matched && right.matched)
-        ? combineNearSpans(left.spans, right.spans, node.distance)
+        ? combineNearSpans(left.spans, right.spans, node.distance, node.ordered)
         : [];
       return {
         matched: spans.length > 0,
@@ -375,27 +866,57 @@ function evaluatePositive(node, tokens) {
         hasPositive: true,
       };
     }
+    case "NOT_NEAR": {
+      // Left has to match, and no left match may be within the distance of a right match
+      const left = evaluatePositive(node.left, tokens, doc);
+      const right = evaluatePositive(node.right, tokens, doc);
+      const close = left.matched && right.matched
+        && combineNearSpans(left.spans, right.spans, node.distance, node.ordered).length > 0;
+      const matched = left.matched && !close;
+      return { matched, spans: matched ? left.spans : [], hasPositive: true };
+    }
+    case "SCOPE": {
+      const view = scopedView(doc, node.field);
+      const result = evaluatePositive(node.child, view.words, view.doc);
+      // author, platform and link are not part of the text, so their matches have no text spans
+      return TEXT_SCOPES.includes(node.field) ? result : { ...result, spans: [] };
+    }
     default:
       throw new Error(`Unknown node type: ${node.type}`);
   }
 }
 
-function checkForbidden(node, tokens) {
+function checkForbidden(node, tokens, doc) {
   if (!node) return false;
   if (node.type === "NOT") {
-    const result = evaluatePositive(node.child, tokens);
+    const result = evaluatePositive(node.child, tokens, doc);
     return result.matched;
   }
+  if (node.type === "SCOPE") {
+    const view = scopedView(doc, node.field);
+    return checkForbidden(node.child, view.words, view.doc);
+  }
   if (node.type === "AND" || node.type === "OR" || node.type === "NEAR") {
-    return checkForbidden(node.left, tokens) || checkForbidden(node.right, tokens);
+    return checkForbidden(node.left, tokens, doc) || checkForbidden(node.right, tokens, doc);
   }
   return false;
 }
 
-function evaluateRule(ast, text) {
-  const tokens = tokenizeArticle(text);
-  const forbids = checkForbidden(ast, tokens);
-  const positive = evaluatePositive(ast, tokens);
+/**
+ * Evaluate a rule against a text or a document
+ * A string is matched as a whole; title: never matches it and content: covers all of it.
+ * @param {Object} ast - From parseRule
+ * @param {string|Object} input - Text, or { title, content, author, platform, link }
+ * @returns {Object} { matched, spans } - spans are token ranges in the document text
+ */
+function evaluateRule(ast, input) {
+  return evaluateDocument(ast, prepareDocument(input));
+}
+
+// evaluateRule on a prepared document, so one document can be checked against many rules
+function evaluateDocument(ast, doc) {
+  const forbids = checkForbidden(ast, doc.words, doc);
+  const positive = evaluatePositive(ast, doc.words, doc);
   if (forbids) {
     return { matched: false, spans: [] };
   }
@@ -433,6 +954,7 @@ function classifyBrandRules(rules, text) {
 }
 
 const _internals = {
+  normalizeText,
   tokenizeQuery,
   tokenizeArticle,
   tokenizePhrase,
@@ -444,6 +966,13 @@ const _internals = {
 module.exports = {
   parseRule,
   evaluateRule,
+  prepareDocument,
+  evaluateDocument,
   classifyBrandRules,
+  SCOPE_FIELDS,
+  TEXT_SCOPES,
+  describePosition,
+  tokenizeWithOffsets,
+  spansToHighlights,
   _internals,
 };
@@ -0,0 +1,101 @@
+const { parseRule, describePosition, _internals: { tokenizeQuery, tokenizePhrase, normalizeText } } = require('./parser');
+
+// Diagnostics for brand query text: parse errors plus warnings for queries that parse
+// but probably do not do what was meant. Every diagnostic is
+// { severity: 'error' | 'warning', code, message, offset, line, column, snippet }.
+
+function diagnostic(severity, code, message, query, offset) {
+  return { severity, code, message, ...describePosition(query, offset) };
+}
+
+// Whether the node can match something outside a NOT
+function hasPositiveTerm(node) {
+  if (!node || node.type === 'NOT') return false;
+  if (['TERM', 'WILDCARD', 'PATTERN', 'REGEX', 'PHRASE', 'EXACT'].includes(node.type)) return true;
+  if (node.type === 'SCOPE') return hasPositiveTerm(node.child);
+  if (node.type === 'NOT_NEAR') return hasPositiveTerm(node.left);
+  return hasPositiveTerm(node.left) || hasPositiveTerm(node.right);
+}
+
+// Warnings visible in the query tokens
+function lintTokens(query, tokens) {
+  const warnings = [];
+  tokens.forEach((tok, idx) => {
+    if (tok.type === 'PHRASE') {
+      if (tokenizePhrase(tok.value).length === 0) {
+        warnings.push(diagnostic('warning', 'EMPTY_PHRASE', 'Phrase has no words and never matches', query, tok.start));
+      }
+      // Without wild:, * and ? in a phrase are punctuation, as they always were
+      if (/[*?]/.test(tok.value) && !(tokens[idx - 1] && tokens[idx - 1].type === 'WILD')) {
+        warnings.push(diagnostic('warning', 'PHRASE_WILDCARD',
+          `* and ? in a phrase are ignored; write wild:"${tok.value}" to use them as wildcards`, query, tok.start));
+      }
+      // A quote touching a term, as in don't, opens or closes a phrase where none was meant
+      // ("phrase"OR is fine: operators may touch the quotes)
+      const before = tokens[idx - 1];
+      const after = tokens[idx + 1];
+      if ((before && before.type === 'TERM' && before.end === tok.start)
+        || (after && after.type === 'TERM' && after.start === tok.end)) {
+        warnings.push(diagnostic('warning', 'UNBALANCED_QUOTES',
+          'Quote next to a word starts or ends a phrase here; quotes may be unbalanced', query, tok.start));
+      }
+    }
+    // Punctuation inside a term (t-2, super_stryker) keeps it one term that never matches a word
+    if (tok.type === 'TERM' && !/[*?]/.test(tok.value) && normalizeText(tok.value).includes(' ')) {
+      warnings.push(diagnostic('warning', 'SPLIT_TERM',
+        `"${tok.value}" is several words and never matches as a term; write "${tok.value}" in quotes to match them as a phrase`,
+        query, tok.start));
+    }
+    if (tok.type === 'TERM' && /^[@#]?\*$/.test(tok.value)) {
+      warnings.push(diagnostic('warning', 'BARE_WILDCARD', 'Bare "*" matches every word', query, tok.start));
+    }
+  });
+  return warnings;
+}
+
+// Warnings visible in the parsed query
+function lintAst(query, ast) {
+  const warnings = [];
+  if (ast && !hasPositiveTerm(ast)) {
+    warnings.push(diagnostic('warning', 'NOT_ONLY',
+      'Query only has NOT terms and matches every post without them', query, 0));
+  }
+  return warnings;
+}
+
+/**
+ * Check a brand query
+ * @param {string} query - Query text
+ * @returns {Object} { valid, errors, warnings } - valid is false when the query does not parse
+ */
+function lintQuery(query) {
+  const errors = [];
+  let warnings = [];
+
+  let tokens = null;
+  try {
+    tokens = tokenizeQuery(query);
+  } catch (err) {
+    errors.push(diagnostic('error', err.code || 'QUERY_PARSE_ERROR', err.reason || err.message, query, err.offset || 0));
+  }
+
+  if (tokens) {
+    warnings = lintTokens(query, tokens);
+    try {
+      const ast = parseRule(query);
+      if (!ast) {
+        errors.push(diagnostic('error', 'EMPTY_QUERY', 'Query has no terms', query, 0));
+      }
+      warnings.push(...lintAst(query, ast));
+    } catch (err) {
+      errors.push(diagnostic('error', err.code || 'QUERY_PARSE_ERROR', err.reason || err.message, query, err.offset || 0));
+    }
+  }
+
+  warnings.sort((a, b) => a.offset - b.offset);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  lintQuery,
+};
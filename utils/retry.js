@@ -0,0 +1,93 @@
+// Retry helpers for Cosmos DB writes
+
+// HTTP status codes Cosmos returns for throttled or transient failures
+const RETRYABLE_STATUS_CODES = new Set([408, 410, 429, 449, 500, 502, 503, 504]);
+// Node network error codes worth another attempt
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+// Backoff used when no settings are given (also the KWATCH_RETRY_* defaults)
+const RETRY_DEFAULTS = Object.freeze({
+  maxAttempts: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+});
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Whether an error is worth retrying
+function isTransientError(err) {
+  if (!err) return false;
+  return RETRYABLE_STATUS_CODES.has(err.code) ||
+    RETRYABLE_STATUS_CODES.has(err.statusCode) ||
+    RETRYABLE_NETWORK_CODES.has(err.code);
+}
+
+// Read the retry-after hint Cosmos attaches to throttled (429) responses
+function getRetryAfterMs(err) {
+  if (!err) return 0;
+  if (Number.isFinite(err.retryAfterInMs)) return err.retryAfterInMs;
+  if (Number.isFinite(err.retryAfterInMilliseconds)) return err.retryAfterInMilliseconds;
+  const header = err.headers && (err.headers['x-ms-retry-after-ms'] || err.headers['retry-after-ms']);
+  const parsed = parseInt(header, 10);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Run an async operation with exponential backoff
+ * The delay doubles per attempt (with jitter) but never drops below a retry-after hint
+ * @param {Function} operation - Async function receiving the attempt number (1-based)
+ * @param {Object} options - { maxAttempts, baseDelayMs, maxDelayMs, isRetryable, onRetry }
+ * @returns {Promise<*>} Result of the operation; rejects with the last error (err.attempts set)
+ */
+async function withRetry(operation, options = {}) {
+  const {
+    maxAttempts = RETRY_DEFAULTS.maxAttempts,
+    baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+    maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+    isRetryable = isTransientError,
+    onRetry,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      if (attempt >= maxAttempts || !isRetryable(err)) {
+        if (err && typeof err === 'object') err.attempts = attempt;
+        throw err;
+      }
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const jitter = Math.random() * backoff * 0.2;
+      const delay = Math.max(getRetryAfterMs(err), backoff + jitter);
+
+      if (onRetry) onRetry(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Build a withRetry options factory for one service, logging each retry
+ * @param {string} tag - Log prefix, e.g. 'KWatchQueue'
+ * @param {Object} settings - { maxAttempts, baseDelayMs, maxDelayMs }
+ * @returns {Function} label => withRetry options, label naming the operation in the log
+ */
+function createRetryOptions(tag, settings = RETRY_DEFAULTS) {
+  return label => ({
+    ...settings,
+    onRetry: (err, attempt, delay) => {
+      console.warn(`[${tag}] ${label} failed (attempt ${attempt}, code ${err.code}), retrying in ${Math.round(delay)}ms`);
+    },
+  });
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  withRetry,
+  createRetryOptions,
+  isTransientError,
+  getRetryAfterMs,
+};